@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Command line interface to the patch engine of the extension:
+ *
+ *     paste-and-apply-patch apply [options] < changes.patch
+ *
+ * Exit status: 0 if every file was patched, 1 if files or hunks were rejected,
+ * 2 for usage errors and input without any changes.
+ */
+const { applyPatchToFileSystem, describeHunkResult, formatRejectsReport } = require('../lib/core');
+const { createNodeFileSystem } = require('../lib/node-file-system');
+
+const USAGE = `Usage: paste-and-apply-patch apply [options] < patch
+
+Applies a unified diff, SEARCH/REPLACE blocks or whole files in fenced code
+blocks (e.g. a pasted LLM answer) read from standard input.
+
+Options:
+  -d, --directory DIR   Apply the patch in DIR instead of the current directory
+  -p, --strip N         Remove N leading components from diff paths (default: auto)
+  --fuzz N              Outer context lines per side that may mismatch (default: 2)
+  --exact-whitespace    Do not tolerate whitespace differences in context lines
+  --no-partial          Leave a file unchanged if any of its hunks fails
+  -R, --reverse         Undo the patch instead of applying it
+  --max-file-size KB    Refuse to patch larger files, 0 for no limit (default: 2048)
+  --max-patch-size KB   Refuse larger input, 0 for no limit (default: 1024)
+  --dry-run             Report what would happen without writing files
+  -h, --help            Show this help`;
+
+/**
+ * @param {string[]} args The arguments after the command name.
+ * @returns {{ directory: string, dryRun: boolean, options: import('../lib/core').PatchOptions }}
+ */
+function parseArguments(args) {
+    const parsed = { directory: process.cwd(), dryRun: false, options: {} };
+    const numberArgument = (name, value, max = Infinity) => {
+        const number = Number(value);
+        if (value === undefined || !Number.isInteger(number) || number < 0 || number > max) {
+            throw new Error(`${name} expects a whole number${max === Infinity ? '' : ` from 0 to ${max}`}`);
+        }
+        return number;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        // Accept the attached forms `-p1` and `--fuzz=3` as well
+        const match = /^(-p|--[a-z-]+=)(.+)$/.exec(arg);
+        const name = match ? match[1].replace(/=$/, '') : arg;
+        const value = () => (match ? match[2] : args[++i]);
+
+        switch (name) {
+            case '-d':
+            case '--directory':
+                parsed.directory = value();
+                if (!parsed.directory) {
+                    throw new Error(`${name} expects a directory`);
+                }
+                break;
+            case '-p':
+            case '--strip':
+                parsed.options.stripLevel = numberArgument(name, value(), 10);
+                break;
+            case '--fuzz':
+                parsed.options.fuzzFactor = numberArgument(name, value(), 10);
+                break;
+            case '--exact-whitespace':
+                parsed.options.ignoreWhitespace = false;
+                break;
+            case '--no-partial':
+                parsed.options.allowPartial = false;
+                break;
+            case '--max-file-size':
+                parsed.options.maxFileSize = numberArgument(name, value()) * 1024;
+                break;
+            case '--max-patch-size':
+                parsed.options.maxPatchSize = numberArgument(name, value()) * 1024;
+                break;
+            case '-R':
+            case '--reverse':
+                parsed.options.reverse = true;
+                break;
+            case '--dry-run':
+                parsed.dryRun = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {Promise<string>}
+ */
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * @param {string[]} argv The arguments after `node script`.
+ * @returns {Promise<number>} The exit status.
+ */
+async function main(argv) {
+    const [command, ...args] = argv;
+    if (command === '-h' || command === '--help' || args.includes('-h') || args.includes('--help')) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (command !== 'apply') {
+        if (command) {
+            console.error(`Unknown command: ${command}\n`);
+        }
+        console.error(USAGE);
+        return 2;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArguments(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const patchText = await readAll(process.stdin);
+    let results;
+    try {
+        results = await applyPatchToFileSystem(patchText, createNodeFileSystem(parsed.directory), {
+            ...parsed.options,
+            dryRun: parsed.dryRun
+        });
+    } catch (error) {
+        console.error(`Could not apply the patch: ${error.message}`);
+        return 2;
+    }
+    if (results.length === 0) {
+        console.error('No changes found in the input.');
+        return 2;
+    }
+
+    const rejects = [];
+    for (const result of results) {
+        const failedHunks = result.hunkResults.filter(hunk => !hunk.applied).length;
+        if (!result.applied) {
+            console.log(`FAILED   ${result.displayPath}: ${result.error}`);
+        } else if (failedHunks > 0) {
+            console.log(`PARTIAL  ${result.displayPath}: ${failedHunks} of ${result.hunkResults.length} hunk(s) rejected`);
+        } else {
+            console.log(`${result.operation.padEnd(8)} ${result.displayPath}`);
+        }
+        for (const hunk of result.hunkResults) {
+            console.log(`    ${describeHunkResult(hunk)}`);
+        }
+        if (failedHunks > 0) {
+            rejects.push(result);
+        }
+    }
+    if (parsed.dryRun) {
+        console.log('Dry run, no files were changed.');
+    }
+    if (rejects.length > 0) {
+        process.stderr.write(formatRejectsReport(rejects));
+    }
+    return results.every(result => result.applied) && rejects.length === 0 ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+    status => { process.exitCode = status; },
+    error => {
+        console.error(error);
+        process.exitCode = 2;
+    }
+);
@@ -1,189 +1,2272 @@
 const vscode = require('vscode');
 const Diff = require('diff');
+const childProcess = require('child_process');
+const path = require('path');
+const core = require('./lib/core');
+const {
+    DEFAULT_PATCH_OPTIONS,
+    parsePastedChanges,
+    reverseEntry,
+    describeEntryPath,
+    isAbsolutePath,
+    matchBySuffix,
+    fileNotFoundError,
+    applyHunks,
+    countChangedLines,
+    describeAdjustedHunks,
+    describeHunkResult,
+    formatRejectsReport,
+    matchesGlob,
+    looksBinary,
+    binaryFileError,
+    fileTooLargeError,
+    checkPatchSize,
+    outsideRootError,
+    patchFromLinkQuery,
+    createPatchOverlay,
+    combineQueuedChanges,
+    formatNetPatch
+} = core;
+
+/** @typedef {import('./lib/core').PatchOptions} PatchOptions */
+/** @typedef {import('./lib/core').HunkResult} HunkResult */
+
+/**
+ * @param {vscode.ExtensionContext} context
+ */
+ function activate(context) {
+    console.log('Congratulations, your extension "paste-and-apply-patch" is now active!');
+
+    let currentPanel = undefined;
+
+    patchHistory = createPatchHistory(context.workspaceState);
+    outputChannel = vscode.window.createOutputChannel('Paste and Apply Patch');
+    rejectDiagnostics = vscode.languages.createDiagnosticCollection('paste-and-apply-patch');
+
+    context.subscriptions.push(
+        patchHistory,
+        outputChannel,
+        rejectDiagnostics,
+        vscode.languages.registerCodeActionsProvider({ scheme: 'file' }, rejectedHunkActionProvider, {
+            providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+        }),
+        vscode.commands.registerCommand('paste-and-apply-patch.openRejectedHunk', openRejectedHunk),
+        vscode.commands.registerCommand('paste-and-apply-patch.clearRejectedHunks', clearRejectDiagnostics),
+        vscode.commands.registerCommand('paste-and-apply-patch.showOutput', () => outputChannel.show()),
+        vscode.window.registerTreeDataProvider('paste-and-apply-patch.history', patchHistory.treeDataProvider),
+        vscode.commands.registerCommand('paste-and-apply-patch.revertPatch', revertPatchFromHistory),
+        vscode.commands.registerCommand('paste-and-apply-patch.reapplyPatch', reapplyPatchFromHistory),
+        vscode.commands.registerCommand('paste-and-apply-patch.openHistoryPatch', openPatchFromHistory),
+        vscode.commands.registerCommand('paste-and-apply-patch.clearHistory', () => patchHistory.clear()),
+        vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, previewContentProvider),
+        vscode.commands.registerCommand('paste-and-apply-patch.acceptPreviewFile', uri => resolvePreviewFile(uri, 'accepted')),
+        vscode.commands.registerCommand('paste-and-apply-patch.rejectPreviewFile', uri => resolvePreviewFile(uri, 'rejected')),
+        vscode.commands.registerCommand('paste-and-apply-patch.applyFromClipboard', applyPatchFromClipboard),
+        vscode.commands.registerCommand('paste-and-apply-patch.applyFromFile', applyPatchFromFile),
+        vscode.commands.registerCommand('paste-and-apply-patch.applyFromSelection', applyPatchFromSelection),
+        vscode.commands.registerCommand('paste-and-apply-patch.reverseApplyFromClipboard', () => applyPatchFromClipboard({ reverse: true })),
+        vscode.commands.registerCommand('paste-and-apply-patch.copyChangesForLlm', copyChangesForLlm),
+        vscode.commands.registerCommand('paste-and-apply-patch.applyPatchText', applyPatchText),
+        vscode.window.registerUriHandler({ handleUri: uri => handlePatchUri(uri, showPatchInput) }),
+        // A string argument (e.g. from a keybinding) pre-fills the panel
+        vscode.commands.registerCommand('paste-and-apply-patch.showPatchInput', text => showPatchInput(typeof text === 'string' ? text : undefined))
+    );
+
+    /**
+     * Opens the input panel, or brings it to the front if it is already open.
+     * @param {string} [patchText] Text to put into the panel, replacing what it contains.
+     */
+    function showPatchInput(patchText) {
+        // No need to capture active editor here anymore, as the patch dictates the files
+        const column = vscode.window.activeTextEditor
+            ? vscode.window.activeTextEditor.viewColumn
+            : vscode.ViewColumn.One; // Default to One if no editor active
+
+        if (currentPanel) {
+            currentPanel.reveal(column);
+            if (patchText !== undefined) {
+                currentPanel.webview.postMessage({ command: 'setPatchText', text: patchText });
+            }
+            return;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            'patchInput',
+            'Paste Multi-File Patch to Apply', // Updated title
+            column,
+            { enableScripts: true }
+        );
+        currentPanel = panel;
+        panel.webview.html = getWebviewContent(defaultPatchOptions()); // Use the same HTML getter
+        if (patchText !== undefined) {
+            // Delivered once the panel's script has loaded
+            panel.webview.postMessage({ command: 'setPatchText', text: patchText });
+        }
+
+        panel.webview.onDidReceiveMessage(
+            async message => {
+                switch (message.command) {
+                    case 'applyPatch':
+                    case 'reverseApplyPatch':
+                    case 'previewPatch':
+                        const patchText = message.text;
+                        if (!patchText || patchText.trim() === '') {
+                            vscode.window.showWarningMessage('Patch text is empty.');
+                            return;
+                        }
+                        const options = optionsFromMessage(message);
+                        if (message.command === 'previewPatch') {
+                            await previewMultiFilePatch(patchText, options);
+                        } else {
+                            await applyMultiFilePatch(patchText, options);
+                        }
+                        if (!vscode.workspace.getConfiguration('paste-and-apply-patch').get('keepPanelOpen', false)) {
+                            panel.dispose(); // Close panel after attempting application
+                        }
+                        return;
+                    case 'applyQueue': {
+                        const queue = Array.isArray(message.queue) ? message.queue : [];
+                        if (queue.length === 0) {
+                            vscode.window.showWarningMessage('The patch queue is empty.');
+                            return;
+                        }
+                        // Keep the panel open when nothing was applied, so the failing patch can be fixed
+                        if (!(await applyPatchQueue(queue, optionsFromMessage(message)))) {
+                            return;
+                        }
+                        if (!vscode.workspace.getConfiguration('paste-and-apply-patch').get('keepPanelOpen', false)) {
+                            panel.dispose();
+                        } else if (currentPanel === panel) {
+                            panel.webview.postMessage({ command: 'queueApplied' });
+                        }
+                        return;
+                    }
+                    case 'validatePatch': {
+                        const queue = Array.isArray(message.queue) ? message.queue : [];
+                        const result = await validatePatch(message.text, optionsFromMessage(message), queue);
+                        // The panel may have been closed while the dry run was running
+                        if (currentPanel === panel) {
+                            panel.webview.postMessage({ command: 'validationResult', requestId: message.requestId, ...result });
+                        }
+                        return;
+                    }
+                    case 'cancel':
+                        panel.dispose();
+                        return;
+                }
+            },
+            undefined,
+            context.subscriptions
+        );
+
+        panel.onDidDispose(
+            () => { currentPanel = undefined; },
+            null,
+            context.subscriptions
+        );
+    }
+
+    return createPublicApi();
+}
+
+/**
+ * @typedef {object} PatchFileResult The outcome of a patch for one file.
+ * @property {string} path The file's path as given in the patch.
+ * @property {string} operation `modify`, `create`, `delete`, `rename` or `write`.
+ * @property {'applied' | 'partial' | 'failed' | 'skipped' | 'previewed'} status
+ *     `partial` means that some hunks were rejected; `skipped` that the user chose not to create the file.
+ * @property {vscode.Uri} [uri] The patched file; missing if it could not be found.
+ * @property {number} [rejectedHunks]
+ * @property {string} [error] Why the file could not be patched.
+ */
+
+/**
+ * The API returned from `activate`, for other extensions:
+ * `vscode.extensions.getExtension('NakadeHitsujiko.paste-and-apply-patch').exports`.
+ * Patches go through the same pipeline as pasted ones, including prompts for
+ * ambiguous paths, git checks, history and the summary notification.
+ */
+function createPublicApi() {
+    /**
+     * @param {string} patchText
+     * @param {Partial<PatchOptions>} [options]
+     */
+    function patchOptions(patchText, options) {
+        if (typeof patchText !== 'string') {
+            throw new TypeError('The patch must be a string');
+        }
+        return { ...defaultPatchOptions(), ...options };
+    }
+
+    return {
+        /**
+         * Applies a patch in any supported format.
+         * @param {string} patchText
+         * @param {Partial<PatchOptions> & { interactive?: boolean }} [options] Overrides of the user's default options.
+         *     With `interactive: false`, ambiguous paths fail and files that would need a confirmation are skipped.
+         * @returns {Promise<PatchFileResult[] | undefined>} Undefined if the text contains no changes or the user cancelled.
+         */
+        applyPatch: async (patchText, options) => applyMultiFilePatch(patchText, patchOptions(patchText, options)),
+        /**
+         * Opens the changes of a patch in diff editors for the user to accept or reject.
+         * @param {string} patchText
+         * @param {Partial<PatchOptions> & { interactive?: boolean }} [options]
+         * @returns {Promise<PatchFileResult[] | undefined>} The previewed files (status `previewed`) and those that failed.
+         */
+        previewPatch: async (patchText, options) => previewMultiFilePatch(patchText, patchOptions(patchText, options))
+    };
+}
+
+/**
+ * Applies patch text passed as a command argument, for keybindings and other
+ * extensions: either the text itself, or an object with a `text` property and
+ * option overrides (e.g. `{ "text": "...", "fuzzFactor": 0 }`).
+ * @param {string | { text: string } & Partial<PatchOptions>} args
+ * @param {Partial<PatchOptions> & { interactive?: boolean }} [options] Option overrides when `args` is a string.
+ * @returns {Promise<PatchFileResult[] | undefined>}
+ */
+async function applyPatchText(args, options = {}) {
+    const { text, ...overrides } = typeof args === 'string' ? { ...options, text: args } : (args || {});
+    if (typeof text !== 'string' || text.trim() === '') {
+        vscode.window.showWarningMessage('No patch text was passed to the command.');
+        return undefined;
+    }
+    return applyMultiFilePatch(text, { ...defaultPatchOptions(), ...overrides });
+}
+
+/**
+ * Handles `vscode://NakadeHitsujiko.paste-and-apply-patch/open?patch=<URL-encoded patch>`
+ * by opening the input panel with the patch filled in. Nothing is applied
+ * until the user confirms in the panel.
+ * @param {vscode.Uri} uri
+ * @param {(patchText: string) => void} showPatchInput
+ */
+function handlePatchUri(uri, showPatchInput) {
+    if (uri.path !== '/open') {
+        vscode.window.showErrorMessage(`Unsupported Paste and Apply Patch link: ${uri.path}`);
+        return;
+    }
+    const patchText = patchFromLinkQuery(uri.query);
+    if (!patchText) {
+        vscode.window.showWarningMessage('The link does not contain a patch.');
+        return;
+    }
+    showPatchInput(patchText);
+}
+
+/**
+ * The default options, completed from the user's settings.
+ * @returns {PatchOptions}
+ */
+function defaultPatchOptions() {
+    const config = vscode.workspace.getConfiguration('paste-and-apply-patch');
+    const stripLevel = config.get('stripLevel');
+    return {
+        ...DEFAULT_PATCH_OPTIONS,
+        fuzzFactor: Math.max(0, Math.floor(Number(config.get('defaultFuzzFactor', DEFAULT_PATCH_OPTIONS.fuzzFactor)) || 0)),
+        ignoreWhitespace: config.get('ignoreWhitespace', DEFAULT_PATCH_OPTIONS.ignoreWhitespace),
+        allowPartial: config.get('allowPartial', DEFAULT_PATCH_OPTIONS.allowPartial),
+        stripLevel: typeof stripLevel === 'number' ? Math.max(0, Math.floor(stripLevel)) : DEFAULT_PATCH_OPTIONS.stripLevel,
+        stage: config.get('git.stageChanges', false)
+    };
+}
+
+/**
+ * The size limits from the user's settings, converted from KB to characters.
+ * @returns {{ maxPatchSize: number, maxFileSize: number }} 0 means no limit.
+ */
+function patchSizeLimits() {
+    const config = vscode.workspace.getConfiguration('paste-and-apply-patch');
+    const kilobytes = (key, fallback) => Math.max(0, Math.floor(Number(config.get(key, fallback)) || 0)) * 1024;
+    return {
+        maxPatchSize: kilobytes('maxPatchSizeKB', DEFAULT_PATCH_OPTIONS.maxPatchSize / 1024),
+        maxFileSize: kilobytes('maxFileSizeKB', DEFAULT_PATCH_OPTIONS.maxFileSize / 1024)
+    };
+}
+
+/**
+ * Globs of the files patches may not touch: `paste-and-apply-patch.excludedFiles`
+ * and the enabled patterns of `files.exclude`.
+ * @returns {string[]}
+ */
+function excludedFileGlobs() {
+    const filesExclude = vscode.workspace.getConfiguration('files').get('exclude', {});
+    return [
+        ...vscode.workspace.getConfiguration('paste-and-apply-patch').get('excludedFiles', ['**/.git/**', '**/node_modules/**']),
+        ...Object.keys(filesExclude).filter(glob => filesExclude[glob] === true)
+    ];
+}
+
+/**
+ * Applies the patch currently on the clipboard.
+ * @param {Partial<PatchOptions>} [overrides] Options that differ from the defaults, e.g. `{ reverse: true }`.
+ */
+async function applyPatchFromClipboard(overrides = {}) {
+    const patchText = await vscode.env.clipboard.readText();
+    if (!patchText || patchText.trim() === '') {
+        vscode.window.showWarningMessage('The clipboard does not contain any text.');
+        return;
+    }
+    await applyMultiFilePatch(patchText, { ...defaultPatchOptions(), ...overrides });
+}
+
+/**
+ * Applies a `.patch` / `.diff` file, either the one selected in the Explorer
+ * or one chosen in an open dialog.
+ * @param {vscode.Uri | undefined} uri
+ */
+async function applyPatchFromFile(uri) {
+    if (!uri) {
+        const picked = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: 'Apply Patch',
+            filters: { 'Patch files': ['patch', 'diff'], 'All files': ['*'] }
+        });
+        if (!picked || picked.length === 0) {
+            return;
+        }
+        uri = picked[0];
+    }
+    let patchText;
+    try {
+        patchText = new TextDecoder('utf-8').decode(await vscode.workspace.fs.readFile(uri));
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not read patch file ${uri.fsPath}: ${error.message}`);
+        return;
+    }
+    if (patchText.trim() === '') {
+        vscode.window.showWarningMessage('The patch file is empty.');
+        return;
+    }
+    await applyMultiFilePatch(patchText, defaultPatchOptions());
+}
+
+/**
+ * Applies the text selected in the active editor, or the whole document if nothing is selected.
+ */
+async function applyPatchFromSelection() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showWarningMessage('No active text editor found to read the patch from.');
+        return;
+    }
+    const selections = editor.selections.filter(selection => !selection.isEmpty);
+    const patchText = selections.length > 0
+        ? selections.map(selection => editor.document.getText(selection)).join('\n')
+        : editor.document.getText();
+    if (patchText.trim() === '') {
+        vscode.window.showWarningMessage('The selection does not contain any text.');
+        return;
+    }
+    await applyMultiFilePatch(patchText, defaultPatchOptions());
+}
+
+/** Placeholder in `paste-and-apply-patch.llmPromptTemplate` replaced by the copied diff and files. */
+const PROMPT_CONTENT_PLACEHOLDER = '{{content}}';
+
+/**
+ * Copies a unified diff of unsaved editor changes (against the saved files) to the
+ * clipboard, optionally with the full contents of the chosen files and wrapped in a
+ * prompt template, so it can be pasted into an LLM chat.
+ */
+async function copyChangesForLlm() {
+    const dirtyDocuments = vscode.workspace.textDocuments.filter(document => document.isDirty && document.uri.scheme === 'file');
+    const dirtyKeys = new Set(dirtyDocuments.map(document => document.uri.toString()));
+    const otherFiles = (await vscode.workspace.findFiles('**/*', '**/{node_modules,.git}/**', 5000))
+        .filter(uri => !dirtyKeys.has(uri.toString()))
+        .sort((a, b) => vscode.workspace.asRelativePath(a).localeCompare(vscode.workspace.asRelativePath(b)));
+    const items = [
+        ...dirtyDocuments.map(document => ({
+            label: vscode.workspace.asRelativePath(document.uri),
+            description: 'unsaved changes',
+            picked: true,
+            uri: document.uri
+        })),
+        ...otherFiles.map(uri => ({ label: vscode.workspace.asRelativePath(uri), uri }))
+    ];
+    const pickedFiles = await vscode.window.showQuickPick(items, {
+        canPickMany: true,
+        matchOnDescription: true,
+        placeHolder: 'Files to copy. Unsaved changes are copied as a diff against the saved file.'
+    });
+    if (!pickedFiles || pickedFiles.length === 0) {
+        return;
+    }
+    const hasUnsavedChanges = pickedFiles.some(item => dirtyKeys.has(item.uri.toString()));
+    const extras = await vscode.window.showQuickPick([
+        { label: 'Include full file contents', id: 'contents', picked: !hasUnsavedChanges },
+        { label: 'Wrap in prompt template', id: 'prompt', picked: true }
+    ], {
+        canPickMany: true,
+        placeHolder: 'What to copy besides the diff of unsaved changes'
+    });
+    if (!extras) {
+        return;
+    }
+    const includeContents = extras.some(extra => extra.id === 'contents');
+    const usePrompt = extras.some(extra => extra.id === 'prompt');
+
+    const diffs = [];
+    const contents = [];
+    for (const { uri, label } of pickedFiles) {
+        try {
+            const document = await vscode.workspace.openTextDocument(uri);
+            if (document.isDirty) {
+                const savedText = new TextDecoder('utf-8').decode(await vscode.workspace.fs.readFile(uri));
+                diffs.push(Diff.createTwoFilesPatch(`a/${label}`, `b/${label}`, savedText, document.getText()));
+            }
+            if (includeContents) {
+                contents.push(fencedBlock(document.getText(), `${document.languageId} ${label}`));
+            }
+        } catch (error) {
+            logError(`Could not read ${label}`, error);
+            vscode.window.showErrorMessage(`Could not read ${label}: ${error.message}`);
+            return;
+        }
+    }
+    if (diffs.length === 0 && contents.length === 0) {
+        vscode.window.showWarningMessage('The chosen files have no unsaved changes. Include their full contents to copy them.');
+        return;
+    }
+
+    const sections = [];
+    if (diffs.length > 0) {
+        sections.push(fencedBlock(diffs.join(''), 'diff'));
+    }
+    sections.push(...contents);
+    let text = sections.join('\n\n');
+    if (usePrompt) {
+        const template = vscode.workspace.getConfiguration('paste-and-apply-patch').get('llmPromptTemplate', PROMPT_CONTENT_PLACEHOLDER);
+        text = template.includes(PROMPT_CONTENT_PLACEHOLDER)
+            ? template.split(PROMPT_CONTENT_PLACEHOLDER).join(text)
+            : `${template}\n\n${text}`;
+    }
+    await vscode.env.clipboard.writeText(text);
+    vscode.window.showInformationMessage(
+        `Copied ${diffs.length} diff(s)${includeContents ? ` and ${contents.length} file(s)` : ''} to the clipboard.`
+    );
+}
+
+/**
+ * Wraps text in a markdown code fence long enough not to be closed by backticks inside it.
+ * @param {string} text
+ * @param {string} info The fence's info string, e.g. `diff` or `js src/app.js`.
+ */
+function fencedBlock(text, info) {
+    const longestRun = Math.max(0, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${info}\n${text}${text.endsWith('\n') ? '' : '\n'}${fence}`;
+}
+
+/**
+ * Parses a multi-file patch string and applies changes to each file,
+ * leaving modified and created files in a dirty (unsaved) state.
+ * All file operations (edits, creations, deletions and renames) are collected
+ * into a single WorkspaceEdit so they show up together as pending changes.
+ * @param {string} patchText The full Unified Diff patch text, potentially containing multiple files.
+ * @param {PatchOptions} [options] How strictly hunks must match the files.
+ * @returns {Promise<PatchFileResult[] | undefined>} Undefined if nothing was applied because the patch
+ *     contains no changes, no workspace is open or the user cancelled.
+ */
+async function applyMultiFilePatch(patchText, options = {}) {
+    const plan = await preparePatch(patchText, options);
+    if (!plan) {
+        return undefined;
+    }
+    return applyPreparedChanges(plan);
+}
+
+/**
+ * Reads the patch options sent by the input panel.
+ * @param {object} message A message posted by the webview.
+ * @returns {PatchOptions}
+ */
+function optionsFromMessage(message) {
+    return {
+        fuzzFactor: Math.max(0, Math.floor(Number(message.fuzzFactor) || 0)),
+        ignoreWhitespace: Boolean(message.ignoreWhitespace),
+        allowPartial: Boolean(message.allowPartial),
+        stripLevel: message.stripLevel === '' || message.stripLevel === undefined
+            ? undefined
+            : Math.max(0, Math.floor(Number(message.stripLevel) || 0)),
+        reverse: message.command === 'reverseApplyPatch',
+        stage: Boolean(message.stage)
+    };
+}
+
+/**
+ * Dry-runs a patch for the input panel's status table: parses it and computes
+ * every file's change exactly like an application would, but without prompting,
+ * notifying or touching any buffer. With a queue, the queued patches are dry-run
+ * one after another first, and the patch is checked against the files as they leave them.
+ * @param {string} patchText
+ * @param {PatchOptions} options
+ * @param {string[]} [queue] Patches queued in the panel, in application order.
+ * @returns {Promise<{files: object[], message?: string, queue?: object[]}>}
+ */
+async function validatePatch(patchText, options, queue = []) {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    const hasText = Boolean(patchText && patchText.trim() !== '');
+    if (!workspaceFolders || workspaceFolders.length === 0) {
+        const message = hasText || queue.length > 0 ? 'No workspace folder open. Cannot resolve file paths from the patch.' : undefined;
+        return { files: [], message, queue: queue.map(() => ({ state: 'error', status: 'No workspace folder open', files: [] })) };
+    }
+
+    // Files that are not open are read from disk; opening a document for every keystroke's dry run is costly
+    const resolver = {
+        ...createPathResolver(workspaceFolders, { interactive: false }),
+        read: uri => readWorkspaceFile(uri, { openDocument: false })
+    };
+    const overlay = queue.length > 0 ? createWorkspaceOverlay(resolver) : undefined;
+    const queueRows = [];
+    let failedPatch = 0;
+    for (const [index, queuedText] of queue.entries()) {
+        if (failedPatch) {
+            queueRows.push({ state: 'warning', status: `Not checked, patch ${failedPatch} fails`, files: [] });
+            continue;
+        }
+        const { files, changes, message } = await validatePatchFiles(queuedText, options, overlay);
+        const failed = files.filter(file => file.state !== 'ok').length;
+        if (message || failed > 0) {
+            failedPatch = index + 1;
+        }
+        changes.forEach(change => overlay.record(change));
+        queueRows.push({
+            state: message || failed > 0 ? 'error' : 'ok',
+            status: message || (failed > 0 ? `${failed} of ${files.length} file(s) will fail` : `${files.length} file(s) will be patched`),
+            files: files.map(file => file.path)
+        });
+    }
+
+    if (!hasText) {
+        return { files: [], queue: queueRows };
+    }
+    const { files, message } = await validatePatchFiles(patchText, options, overlay || resolver);
+    return { files, message, queue: queueRows };
+}
+
+/**
+ * Dry-runs one patch and describes each of its files for the input panel.
+ * @param {string} patchText
+ * @param {PatchOptions} options
+ * @param {ReturnType<typeof createPathResolver>} resolver A non-interactive resolver, or an overlay over one.
+ * @returns {Promise<{files: object[], changes: object[], message?: string}>} `changes` are those of the files that will be patched cleanly.
+ */
+async function validatePatchFiles(patchText, options, resolver) {
+    try {
+        checkPatchSize(patchText, patchSizeLimits().maxPatchSize);
+    } catch (error) {
+        return { files: [], changes: [], message: error.message };
+    }
+    let fileEntries;
+    try {
+        fileEntries = parsePastedChanges(patchText, options.stripLevel);
+    } catch (error) {
+        return { files: [], changes: [], message: `Failed to parse the patch text: ${error.message}` };
+    }
+    if (fileEntries.length === 0) {
+        return { files: [], changes: [], message: 'No file changes detected yet.' };
+    }
+
+    const files = [];
+    const changes = [];
+    for (const parsedEntry of fileEntries) {
+        let entry = parsedEntry;
+        const row = { path: describeEntryPath(entry), hunks: entry.filePatch.hunks.length };
+        try {
+            if (options.reverse) {
+                entry = reverseEntry(parsedEntry);
+                row.path = describeEntryPath(entry);
+            }
+            const change = await prepareFileChange(entry, resolver, options);
+            Object.assign(row, countChangedLines(entry, change));
+            const rejected = change.hunkResults.filter(result => !result.applied).length;
+            if (rejected > 0) {
+                row.state = 'warning';
+                row.status = `${rejected} of ${change.hunkResults.length} hunk(s) will not match`;
+            } else {
+                row.state = 'ok';
+                row.status = VALIDATION_LABELS[change.operation];
+                changes.push(change);
+            }
+        } catch (error) {
+            Object.assign(row, countChangedLines(entry));
+            row.state = 'error';
+            if (error.code === 'FileNotFound') {
+                row.status = 'Missing';
+            } else if (error.hunkResults) {
+                const rejected = error.hunkResults.filter(result => !result.applied).length;
+                row.status = `${rejected} of ${error.hunkResults.length} hunk(s) will not match`;
+            } else {
+                row.status = error.message;
+            }
+        }
+        files.push(row);
+    }
+    return { files, changes };
+}
+
+/** Status shown in the input panel for files that will be patched cleanly. */
+const VALIDATION_LABELS = {
+    modify: 'Found',
+    create: 'Will be created',
+    delete: 'Will be deleted',
+    rename: 'Will be renamed'
+};
+
+/**
+ * Parses a patch and computes the change for every file without touching any buffer.
+ * Shows an error and returns undefined if the patch cannot be processed at all.
+ * @param {string} patchText
+ * @param {PatchOptions} options
+ * @param {ReturnType<typeof createWorkspaceOverlay>} [overlay] Files as earlier patches of a queue leave them.
+ */
+async function preparePatch(patchText, options, overlay) {
+    let failedFiles = 0;
+    let fileMessages = []; // Collect messages for summary
+    const changes = [];
+    const rejects = []; // Files whose hunks could not be placed, for the rejects report
+    const results = []; // Per-file outcomes for API callers
+
+    try {
+        checkPatchSize(patchText, patchSizeLimits().maxPatchSize);
+    } catch (error) {
+        vscode.window.showErrorMessage(error.message);
+        return undefined;
+    }
+
+    try {
+        // 1. Parse the entire patch string
+        const fileEntries = parsePastedChanges(patchText, options.stripLevel);
+
+        if (fileEntries.length === 0) {
+            vscode.window.showWarningMessage('Could not parse any file changes from the provided patch text.');
+            return undefined;
+        }
+
+        // 2. Get Workspace Folders (needed for resolving relative paths)
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        if (!workspaceFolders || workspaceFolders.length === 0) {
+            vscode.window.showErrorMessage('No workspace folder open. Cannot resolve file paths from the patch.');
+            return undefined;
+        }
+        const resolver = overlay || createPathResolver(workspaceFolders, { interactive: options.interactive !== false });
+
+        // 3. Compute the change for each file
+        for (const parsedEntry of fileEntries) {
+            let entry = parsedEntry;
+            let displayPath = describeEntryPath(entry);
+            try {
+                if (options.reverse) {
+                    entry = reverseEntry(parsedEntry);
+                    displayPath = describeEntryPath(entry);
+                }
+                const change = await prepareFileChange(entry, resolver, options);
+                changes.push({ change, displayPath });
+            } catch (error) {
+                // Handle errors during file processing (e.g., file not found)
+                failedFiles++;
+                if (error.message.includes('cannot open file') || error.code === 'FileNotFound') {
+                    fileMessages.push(`❌ ${displayPath}: Failed (File not found in workspace).`);
+                } else {
+                    fileMessages.push(`❌ ${displayPath}: Failed (${error.message}).`);
+                }
+                if (error.hunkResults) {
+                    rejects.push({ displayPath, uri: error.target, filePatch: entry.filePatch, hunkResults: error.hunkResults });
+                }
+                results.push({ path: displayPath, operation: entry.operation, status: 'failed', uri: error.target, error: error.message });
+            }
+        }
+
+    } catch (error) {
+        // Handle errors during initial patch parsing
+        logError('Failed to parse the patch text', error);
+        vscode.window.showErrorMessage(`Failed to parse the patch text: ${error.message}`);
+        return undefined;
+    }
+
+    return { patchText, options, changes, failedFiles, fileMessages, rejects, results };
+}
+
+/**
+ * Applies computed file changes as one WorkspaceEdit, records them in the patch
+ * history, opens a report of rejected hunks if there are any, and shows the summary notification.
+ * @param {object} plan
+ * @param {string} plan.patchText The pasted text the changes were computed from.
+ * @param {PatchOptions} plan.options
+ * @param {{ change: object, displayPath: string }[]} plan.changes Changes to apply.
+ * @param {number} plan.failedFiles Files that already failed while preparing the patch.
+ * @param {string[]} plan.fileMessages Messages collected so far; appended to.
+ * @param {object[]} plan.rejects Rejected hunks of files that already failed.
+ * @param {PatchFileResult[]} [plan.results] Outcomes of files that already failed.
+ * @returns {Promise<PatchFileResult[] | undefined>} Undefined if the user cancelled.
+ */
+async function applyPreparedChanges({ patchText, options, changes, failedFiles, fileMessages, rejects, results = [] }) {
+    let successfulFiles = 0;
+    let partialFiles = 0;
+    let adjustedHunks = 0;
+    rejects = [...rejects];
+    results = [...results];
+    let unstagedFiles = 0;
+    let appliedChanges = [];
+
+    const settings = vscode.workspace.getConfiguration('paste-and-apply-patch');
+    const autoSave = settings.get('autoSave', false);
+
+    const interactive = options.interactive !== false;
+    /** Narrows the changes to those a check let through; the others are reported as skipped. */
+    const keepConfirmed = confirmed => {
+        for (const { change, displayPath } of changes.filter(item => !confirmed.includes(item))) {
+            results.push({ path: displayPath, operation: change.operation, status: 'skipped', uri: change.uri });
+        }
+        changes = confirmed;
+    };
+
+    if (changes.length > 0 && settings.get('confirmUnusualTargets', true)) {
+        const confirmed = await confirmUnusualTargets(changes, fileMessages, interactive);
+        if (!confirmed) {
+            return undefined;
+        }
+        keepConfirmed(confirmed);
+    }
+    if (settings.get('fileCreation', 'allow') === 'confirm') {
+        const confirmed = await confirmFileCreation(changes, fileMessages, interactive);
+        if (!confirmed) {
+            return undefined;
+        }
+        keepConfirmed(confirmed);
+    }
+    if (changes.length > 0) {
+        const confirmed = await prepareGitBeforeApply(changes, fileMessages, interactive);
+        if (!confirmed) {
+            return undefined;
+        }
+        keepConfirmed(confirmed);
+    }
+    if (changes.length > 0) {
+        const edit = new vscode.WorkspaceEdit();
+        for (const { change } of changes) {
+            addChangeToEdit(edit, change);
+        }
+        const success = await vscode.workspace.applyEdit(edit);
+        appliedChanges = success ? changes : [];
+        const unsaved = success && autoSave ? await saveChangedFiles(changes) : new Map();
+        for (const { change, displayPath } of changes) {
+            const rejectedHunks = (change.hunkResults || []).filter(result => !result.applied).length;
+            const saved = autoSave && !unsaved.has(change.uri.toString());
+            results.push({
+                path: displayPath,
+                operation: change.operation,
+                status: !success ? 'failed' : rejectedHunks > 0 ? 'partial' : 'applied',
+                uri: change.uri,
+                rejectedHunks
+            });
+            if (success && rejectedHunks > 0) {
+                partialFiles++;
+                fileMessages.push(`⚠️ ${displayPath}: Partially patched (${rejectedHunks} of ${change.hunkResults.length} hunk(s) rejected, ${saved ? 'saved' : 'ready to save'}).`);
+                rejects.push({ displayPath, uri: change.uri, filePatch: change.filePatch, hunkResults: change.hunkResults });
+            } else if (success) {
+                successfulFiles++;
+                const saveState = UNSAVED_OPERATIONS.has(change.operation) ? (saved ? ' (Saved)' : ' (Ready to save)') : '';
+                fileMessages.push(`✅ ${displayPath}: ${CHANGE_SUCCESS_LABELS[change.operation]}${saveState}.`);
+                const hunkNotes = describeAdjustedHunks(change.hunkResults);
+                adjustedHunks += hunkNotes.length;
+                fileMessages.push(...hunkNotes);
+            }
+            if (success && autoSave && unsaved.has(change.uri.toString())) {
+                const reason = unsaved.get(change.uri.toString());
+                fileMessages.push(`⚠️ ${displayPath}: Could not be saved${reason ? ` (${reason})` : ''}.`);
+            }
+            if (success) {
+                await showPatchedFile(change, settings.get('openPatchedFiles', 'visible'));
+            } else {
+                failedFiles++;
+                fileMessages.push(`❌ ${displayPath}: Failed to apply edit (File might be locked or changed externally?).`);
+            }
+        }
+        if (success && options.stage) {
+            const stageMessages = await stageAppliedChanges(changes);
+            unstagedFiles = stageMessages.length;
+            fileMessages.push(...stageMessages);
+        }
+        if (success && patchHistory) {
+            await patchHistory.record(patchText, options, changes);
+        }
+    }
+
+    showRejectDiagnostics(rejects);
+    if (rejects.length > 0) {
+        await showRejectsReport(rejects);
+    }
+
+    // Show Summary Notification
+    let summaryMessage = `${options.reverse ? 'Reverse patch' : 'Patch'} application finished. ${successfulFiles} file(s) patched successfully ${autoSave ? 'and saved' : 'and are ready to save'}. ${failedFiles} file(s) failed.`;
+    if (partialFiles > 0) {
+        summaryMessage += ` ${partialFiles} file(s) partially patched; rejected hunks are listed in the opened report.`;
+    }
+    if (options.stage && successfulFiles + partialFiles > 0) {
+        summaryMessage += unstagedFiles > 0 ? ` ${unstagedFiles} file(s) could not be staged.` : ' The changes were staged in git.';
+    }
+    logPatchResults(summaryMessage, fileMessages, appliedChanges, rejects);
+    if (failedFiles > 0 || partialFiles > 0 || unstagedFiles > 0) {
+        vscode.window.showWarningMessage(summaryMessage, { modal: true, detail: fileMessages.join('\n') }); // Show details in a modal
+    } else if (successfulFiles > 0 && adjustedHunks > 0) {
+        // Let the user see where hunks were placed without forcing a modal on every success
+        summaryMessage += ` ${adjustedHunks} hunk(s) applied with an offset or fuzz.`;
+        vscode.window.showInformationMessage(summaryMessage, 'Show Details').then(choice => {
+            if (choice) {
+                vscode.window.showInformationMessage(summaryMessage, { modal: true, detail: fileMessages.join('\n') });
+            }
+        });
+    } else if (successfulFiles > 0) {
+        vscode.window.showInformationMessage(summaryMessage);
+    } else {
+        // This might happen if the patch was parsed but all files failed or were skipped
+        vscode.window.showWarningMessage('Patch processed, but no files were successfully modified.');
+    }
+    return results;
+}
+
+/**
+ * Asks before creating the new files of a patch.
+ * @param {{ change: object, displayPath: string }[]} changes
+ * @param {string[]} fileMessages Receives a note for each skipped file.
+ * @param {boolean} [interactive] With false, new files are skipped without asking.
+ * @returns {Promise<object[] | undefined>} The changes to apply, or undefined if the user cancelled.
+ */
+async function confirmFileCreation(changes, fileMessages, interactive = true) {
+    const created = changes.filter(({ change }) => change.operation === 'create');
+    if (created.length === 0) {
+        return changes;
+    }
+    const choice = !interactive ? 'Skip New Files' : await vscode.window.showWarningMessage(
+        `The patch creates ${created.length} new file(s).`,
+        { modal: true, detail: created.map(({ displayPath }) => displayPath).join('\n') },
+        'Create Files',
+        'Skip New Files'
+    );
+    if (choice === 'Create Files') {
+        return changes;
+    }
+    if (choice !== 'Skip New Files') {
+        return undefined;
+    }
+    for (const { displayPath } of created) {
+        fileMessages.push(`⏭️ ${displayPath}: Skipped (new file).`);
+    }
+    return changes.filter(({ change }) => change.operation !== 'create');
+}
+
+/**
+ * Asks before changing files that patches rarely need to touch: deleted files,
+ * hidden files and folders, and files ignored by git.
+ * @param {{ change: object, displayPath: string }[]} changes
+ * @param {string[]} fileMessages Receives a note for each skipped file.
+ * @param {boolean} [interactive] With false, such files are skipped without asking.
+ * @returns {Promise<object[] | undefined>} The changes to apply, or undefined if the user cancelled.
+ */
+async function confirmUnusualTargets(changes, fileMessages, interactive = true) {
+    const ignored = await findIgnoredFiles(changes.flatMap(({ change }) => [change.uri, change.oldUri].filter(Boolean)));
+    const isHidden = uri => vscode.workspace.asRelativePath(uri, false).split('/').some(segment => segment.startsWith('.'));
+    const unusual = [];
+    for (const item of changes) {
+        const { change } = item;
+        const uris = [change.uri, change.oldUri].filter(Boolean);
+        const reasons = [];
+        if (change.operation === 'delete') {
+            reasons.push('deleted');
+        }
+        if (uris.some(isHidden)) {
+            reasons.push('hidden');
+        }
+        if (uris.some(uri => ignored.has(uri.toString()))) {
+            reasons.push('ignored by git');
+        }
+        if (reasons.length > 0) {
+            unusual.push({ item, reasons: reasons.join(', ') });
+        }
+    }
+    if (unusual.length === 0) {
+        return changes;
+    }
+    if (!interactive) {
+        for (const { item, reasons } of unusual) {
+            fileMessages.push(`⏭️ ${item.displayPath}: Skipped (${reasons}).`);
+        }
+        return changes.filter(item => !unusual.some(entry => entry.item === item));
+    }
+    const choice = await vscode.window.showWarningMessage(
+        `The patch changes ${unusual.length} file(s) that patches rarely touch.`,
+        { modal: true, detail: unusual.map(({ item, reasons }) => `${item.displayPath}: ${reasons}`).join('\n') },
+        'Apply Anyway'
+    );
+    return choice === 'Apply Anyway' ? changes : undefined;
+}
+
+/**
+ * Saves the documents a patch modified or created.
+ * @param {{ change: object }[]} changes
+ * @returns {Promise<Map<string, string | undefined>>} URIs of the documents that could not be saved, with the reason if known.
+ */
+async function saveChangedFiles(changes) {
+    const unsaved = new Map();
+    for (const { change } of changes) {
+        if (change.operation === 'delete') {
+            continue;
+        }
+        try {
+            const document = await vscode.workspace.openTextDocument(change.uri);
+            if (document.isDirty && !(await document.save())) {
+                unsaved.set(change.uri.toString(), undefined);
+            }
+        } catch (error) {
+            unsaved.set(change.uri.toString(), error.message);
+        }
+    }
+    return unsaved;
+}
+
+/**
+ * A `createPatchOverlay` over the workspace, for checking and applying the patches
+ * of a queue. Files the queue has not touched are read from the workspace, or
+ * with the resolver's own `read` if it has one.
+ * @param {ReturnType<typeof createPathResolver>} resolver
+ */
+function createWorkspaceOverlay(resolver) {
+    const overlay = createPatchOverlay({ exists: uriExists, read: readWorkspaceFile, ...resolver });
+    return { ...overlay, record: change => overlay.record(toCoreChange(change)) };
+}
+
+/**
+ * Applies a series of patches in order, each against the files as the previous
+ * ones leave them. All patches are prepared in memory first; if one of them has a
+ * file or hunk that fails, it is reported and nothing is applied. Otherwise the
+ * combined result is applied as one edit and recorded as one history entry.
+ * @param {string[]} patchTexts
+ * @param {PatchOptions} options
+ * @returns {Promise<PatchFileResult[] | undefined>} Undefined if nothing was applied.
+ */
+async function applyPatchQueue(patchTexts, options) {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!workspaceFolders || workspaceFolders.length === 0) {
+        vscode.window.showErrorMessage('No workspace folder open. Cannot resolve file paths from the patch.');
+        return undefined;
+    }
+    options = { ...options, reverse: false };
+    const overlay = createWorkspaceOverlay(createPathResolver(workspaceFolders));
+    const changes = [];
+
+    for (const [index, patchText] of patchTexts.entries()) {
+        const plan = await preparePatch(patchText, options, overlay);
+        if (!plan) {
+            return undefined;
+        }
+        const rejects = [...plan.rejects];
+        for (const { change, displayPath } of plan.changes) {
+            const rejectedHunks = change.hunkResults.filter(result => !result.applied).length;
+            if (rejectedHunks > 0) {
+                plan.fileMessages.push(`❌ ${displayPath}: ${rejectedHunks} of ${change.hunkResults.length} hunk(s) rejected.`);
+                rejects.push({ displayPath, filePatch: change.filePatch, hunkResults: change.hunkResults });
+            }
+        }
+        if (plan.failedFiles > 0 || rejects.length > 0) {
+            const summaryMessage = `Patch ${index + 1} of ${patchTexts.length} does not apply on top of the previous ones. Nothing was applied.`;
+            logPatchResults(summaryMessage, plan.fileMessages, [], rejects);
+            if (rejects.length > 0) {
+                await showRejectsReport(rejects);
+            }
+            vscode.window.showWarningMessage(summaryMessage, { modal: true, detail: plan.fileMessages.join('\n') });
+            return undefined;
+        }
+        for (const { change } of plan.changes) {
+            overlay.record(change);
+            changes.push(change);
+        }
+    }
+
+    const netChanges = combineQueuedChanges(changes.map(toCoreChange));
+    if (netChanges.length === 0) {
+        vscode.window.showWarningMessage('The queued patches cancel each other out; there is nothing to apply.');
+        return undefined;
+    }
+    return applyPreparedChanges({
+        patchText: formatNetPatch(netChanges, uri => vscode.workspace.asRelativePath(uri)),
+        options,
+        changes: netChanges.map(fromCoreChange).map(change => ({
+            change,
+            displayPath: change.oldUri
+                ? `${vscode.workspace.asRelativePath(change.oldUri)} → ${vscode.workspace.asRelativePath(change.uri)}`
+                : vscode.workspace.asRelativePath(change.uri)
+        })),
+        failedFiles: 0,
+        fileMessages: [`Applied ${patchTexts.length} queued patch(es).`],
+        rejects: []
+    });
+}
+
+/**
+ * Opens the rejected hunks in an untitled diff document so they can be fixed by hand.
+ * @param {{ displayPath: string, filePatch: object, hunkResults: HunkResult[] }[]} rejects
+ */
+async function showRejectsReport(rejects) {
+    try {
+        const document = await vscode.workspace.openTextDocument({
+            language: 'diff',
+            content: formatRejectsReport(rejects)
+        });
+        await vscode.window.showTextDocument(document, { preview: false, preserveFocus: true });
+    } catch (error) {
+        logError('Could not open the rejected hunks report', error);
+    }
+}
+
+/** Set in `activate`; logs the outcome of every file and hunk of each applied patch. */
+let outputChannel;
+/** Set in `activate`; marks the best-guess location of rejected hunks in the Problems panel. */
+let rejectDiagnostics;
+/** Single-hunk rejects report of each rejected-hunk diagnostic, keyed by `diagnosticKey`. */
+const rejectedHunkReports = new Map();
+const REJECTED_HUNK_SOURCE = 'Paste and Apply Patch';
+
+/**
+ * Writes the outcome of a patch application to the output channel.
+ * @param {string} summaryMessage
+ * @param {string[]} fileMessages
+ * @param {{ change: object, displayPath: string }[]} appliedChanges
+ * @param {{ displayPath: string, hunkResults: HunkResult[] }[]} rejects
+ */
+function logPatchResults(summaryMessage, fileMessages, appliedChanges, rejects) {
+    if (!outputChannel) {
+        return;
+    }
+    outputChannel.appendLine(`[${new Date().toLocaleString()}] ${summaryMessage}`);
+    // Indented messages are hunk notes, which the per-hunk log below covers
+    fileMessages.filter(message => !message.startsWith(' ')).forEach(message => outputChannel.appendLine(`  ${message}`));
+    const files = [
+        ...appliedChanges.map(({ change, displayPath }) => ({ displayPath, hunkResults: change.hunkResults })),
+        ...rejects
+    ];
+    const logged = new Set();
+    for (const { displayPath, hunkResults } of files) {
+        if (logged.has(displayPath) || !hunkResults || hunkResults.length === 0) {
+            continue;
+        }
+        logged.add(displayPath);
+        outputChannel.appendLine(`  ${displayPath}:`);
+        for (const result of hunkResults) {
+            outputChannel.appendLine(`    ${describeHunkResult(result)}`);
+        }
+    }
+    outputChannel.appendLine('');
+}
+
+/**
+ * Writes an error that is not part of any file's outcome to the output channel.
+ * @param {string} message
+ * @param {Error} error
+ */
+function logError(message, error) {
+    if (outputChannel) {
+        outputChannel.appendLine(`[${new Date().toLocaleString()}] ${message}: ${error.message}`);
+    }
+}
+
+/**
+ * Replaces the rejected-hunk problems with those of the latest patch. Each rejected
+ * hunk is marked at its nearest candidate location, or at the line it expected.
+ * @param {{ displayPath: string, uri?: vscode.Uri, filePatch: object, hunkResults: HunkResult[] }[]} rejects
+ */
+function showRejectDiagnostics(rejects) {
+    if (!rejectDiagnostics) {
+        return;
+    }
+    rejectDiagnostics.clear();
+    rejectedHunkReports.clear();
+    const diagnosticsByUri = new Map();
+    for (const reject of rejects) {
+        if (!reject.uri) {
+            continue;
+        }
+        const key = reject.uri.toString();
+        if (!diagnosticsByUri.has(key)) {
+            diagnosticsByUri.set(key, { uri: reject.uri, diagnostics: [] });
+        }
+        for (const result of reject.hunkResults.filter(hunkResult => !hunkResult.applied)) {
+            const line = Math.max(0, (result.candidateLine || result.expectedLine) - 1);
+            const lineCount = result.candidateLine ? Math.max(1, result.oldLineCount) : 1;
+            const range = new vscode.Range(line, 0, line + lineCount - 1, Number.MAX_SAFE_INTEGER);
+            const location = result.candidateLine
+                ? `nearest candidate, ${result.candidateMatches}/${result.oldLineCount} lines similar`
+                : `expected at line ${result.expectedLine}, no similar location found`;
+            const diagnostic = new vscode.Diagnostic(
+                range,
+                `Patch hunk #${result.index + 1} could not be applied (${location}).`,
+                vscode.DiagnosticSeverity.Error
+            );
+            diagnostic.source = REJECTED_HUNK_SOURCE;
+            diagnostic.code = 'rejected-hunk';
+            diagnosticsByUri.get(key).diagnostics.push(diagnostic);
+            rejectedHunkReports.set(diagnosticKey(reject.uri, diagnostic), formatRejectsReport([{ ...reject, hunkResults: [result] }]));
+        }
+    }
+    for (const { uri, diagnostics } of diagnosticsByUri.values()) {
+        rejectDiagnostics.set(uri, diagnostics);
+    }
+}
+
+/**
+ * Removes the rejected-hunk problems of one file, or of all files.
+ * @param {vscode.Uri} [uri]
+ */
+function clearRejectDiagnostics(uri) {
+    if (!rejectDiagnostics) {
+        return;
+    }
+    if (uri) {
+        rejectDiagnostics.delete(uri);
+    } else {
+        rejectDiagnostics.clear();
+        rejectedHunkReports.clear();
+    }
+}
+
+/**
+ * @param {vscode.Uri} uri
+ * @param {vscode.Diagnostic} diagnostic
+ */
+function diagnosticKey(uri, diagnostic) {
+    // Messages name the hunk, so they are unique within a file
+    return `${uri.toString()}\n${diagnostic.message}`;
+}
+
+/** Offers to open the hunk behind a rejected-hunk problem. */
+const rejectedHunkActionProvider = {
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Range} range
+     * @param {vscode.CodeActionContext} context
+     */
+    provideCodeActions(document, range, context) {
+        const actions = [];
+        for (const diagnostic of context.diagnostics) {
+            const report = diagnostic.source === REJECTED_HUNK_SOURCE && rejectedHunkReports.get(diagnosticKey(document.uri, diagnostic));
+            if (!report) {
+                continue;
+            }
+            const action = new vscode.CodeAction('Open rejected patch hunk', vscode.CodeActionKind.QuickFix);
+            action.command = { command: 'paste-and-apply-patch.openRejectedHunk', title: action.title, arguments: [report] };
+            action.diagnostics = [diagnostic];
+            actions.push(action);
+        }
+        if (actions.length > 0) {
+            const dismiss = new vscode.CodeAction('Dismiss rejected patch hunks in this file', vscode.CodeActionKind.QuickFix);
+            dismiss.command = { command: 'paste-and-apply-patch.clearRejectedHunks', title: dismiss.title, arguments: [document.uri] };
+            actions.push(dismiss);
+        }
+        return actions;
+    }
+};
+
+/**
+ * Opens the report of a single rejected hunk, ready to be fixed and applied again.
+ * @param {string} report
+ */
+async function openRejectedHunk(report) {
+    const document = await vscode.workspace.openTextDocument({ language: 'diff', content: report });
+    await vscode.window.showTextDocument(document, { preview: false, viewColumn: vscode.ViewColumn.Beside });
+}
+
+/** Message of the stash or checkpoint commit made before applying a patch. */
+const GIT_BACKUP_MESSAGE = 'Before applying patch (Paste and Apply Patch)';
+/** `Status.UNTRACKED` of the git extension API. */
+const GIT_STATUS_UNTRACKED = 7;
+
+/**
+ * Returns the API of the built-in git extension, or undefined if it is disabled or unavailable.
+ */
+async function getGitApi() {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension) {
+        return undefined;
+    }
+    try {
+        const gitExtension = extension.isActive ? extension.exports : await extension.activate();
+        return gitExtension.enabled ? gitExtension.getAPI(1) : undefined;
+    } catch (error) {
+        logError('Could not activate the git extension', error);
+        return undefined;
+    }
+}
+
+/**
+ * Asks git which of the files are ignored. Files outside a repository, or all of
+ * them if git is unavailable, count as not ignored.
+ * @param {vscode.Uri[]} uris
+ * @returns {Promise<Set<string>>} URI strings of the ignored files.
+ */
+async function findIgnoredFiles(uris) {
+    const ignored = new Set();
+    const git = await getGitApi();
+    if (!git || uris.length === 0) {
+        return ignored;
+    }
+    const byRepository = new Map();
+    for (const uri of uris) {
+        const repository = git.getRepository(uri);
+        if (repository) {
+            byRepository.set(repository, [...(byRepository.get(repository) || []), uri]);
+        }
+    }
+    for (const [repository, repositoryUris] of byRepository) {
+        try {
+            const input = repositoryUris.map(uri => uri.fsPath).join('\0');
+            const output = await runGit(git.git.path, repository.rootUri.fsPath, ['check-ignore', '-z', '--stdin'], input);
+            const ignoredPaths = new Set(output.split('\0'));
+            for (const uri of repositoryUris.filter(uri => ignoredPaths.has(uri.fsPath))) {
+                ignored.add(uri.toString());
+            }
+        } catch (error) {
+            // check-ignore exits with 1 when none of the paths is ignored
+            if (error.exitCode !== 1) {
+                logError(`Could not check ignored files in ${repository.rootUri.fsPath}`, error);
+            }
+        }
+    }
+    return ignored;
+}
+
+/**
+ * Runs the git checks configured for applying a patch: warns if targeted files have
+ * uncommitted changes, and backs up their repositories as a stash or checkpoint commit.
+ * @param {{ change: object, displayPath: string }[]} changes
+ * @param {string[]} fileMessages Receives a note for each skipped file.
+ * @param {boolean} [interactive] With false, files with uncommitted changes are skipped without asking.
+ * @returns {Promise<object[] | undefined>} The changes to apply, or undefined if the user cancelled or the backup failed.
+ */
+async function prepareGitBeforeApply(changes, fileMessages, interactive = true) {
+    const config = vscode.workspace.getConfiguration('paste-and-apply-patch.git');
+    const warnOnUncommitted = config.get('warnOnUncommittedChanges', false);
+    const backup = config.get('backupBeforeApply', 'none');
+    if (!warnOnUncommitted && backup === 'none') {
+        return changes;
+    }
+    const git = await getGitApi();
+    if (!git) {
+        return changes;
+    }
+
+    const repositories = new Map();
+    for (const item of changes) {
+        const { change } = item;
+        const repository = git.getRepository(change.oldUri || change.uri);
+        if (repository) {
+            repositories.set(repository, [...(repositories.get(repository) || []), item]);
+        }
+    }
+    for (const repository of repositories.keys()) {
+        try {
+            await repository.status();
+        } catch (error) {
+            // Fall back to the state the git extension last saw
+            logError(`Could not refresh the git status of ${repository.rootUri.fsPath}`, error);
+        }
+    }
+
+    if (warnOnUncommitted) {
+        const uncommitted = [];
+        for (const [repository, files] of repositories) {
+            const changedUris = new Set(
+                [...repository.state.workingTreeChanges, ...repository.state.indexChanges].map(gitChange => gitChange.uri.toString())
+            );
+            for (const item of files) {
+                if ([item.change.uri, item.change.oldUri].some(uri => uri && changedUris.has(uri.toString()))) {
+                    uncommitted.push(item);
+                }
+            }
+        }
+        if (uncommitted.length > 0 && !interactive) {
+            for (const { displayPath } of uncommitted) {
+                fileMessages.push(`⏭️ ${displayPath}: Skipped (uncommitted changes).`);
+            }
+            changes = changes.filter(item => !uncommitted.includes(item));
+        } else if (uncommitted.length > 0) {
+            const choice = await vscode.window.showWarningMessage(
+                `${uncommitted.length} file(s) targeted by the patch have uncommitted changes.`,
+                { modal: true, detail: uncommitted.map(({ displayPath }) => displayPath).join('\n') },
+                'Apply Anyway'
+            );
+            if (choice !== 'Apply Anyway') {
+                return undefined;
+            }
+        }
+    }
+
+    if (backup !== 'none') {
+        for (const repository of repositories.keys()) {
+            try {
+                await backupRepository(git, repository, backup);
+            } catch (error) {
+                logError(`Could not back up ${repository.rootUri.fsPath} before applying the patch`, error);
+                vscode.window.showErrorMessage(`Could not back up ${repository.rootUri.fsPath} before applying the patch: ${error.message}`);
+                return undefined;
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Records the uncommitted changes of a repository without touching the working tree.
+ * @param {object} git The git extension API.
+ * @param {object} repository
+ * @param {'stash' | 'commit'} mode `stash` adds an entry to the stash list, `commit` makes a checkpoint commit of all tracked changes.
+ */
+async function backupRepository(git, repository, mode) {
+    const root = repository.rootUri.fsPath;
+    if (mode === 'stash') {
+        // `stash create` leaves the working tree alone; `stash store` makes the result visible in the stash list
+        const stashCommit = (await runGit(git.git.path, root, ['stash', 'create', GIT_BACKUP_MESSAGE])).trim();
+        if (stashCommit) {
+            await runGit(git.git.path, root, ['stash', 'store', '-m', GIT_BACKUP_MESSAGE, stashCommit]);
+        }
+        return;
+    }
+    const hasTrackedChanges = repository.state.indexChanges.length > 0
+        || repository.state.workingTreeChanges.some(gitChange => gitChange.status !== GIT_STATUS_UNTRACKED);
+    if (hasTrackedChanges) {
+        // 'tracked' runs `git add -u`; `all: true` would also commit untracked files
+        await repository.commit(`Checkpoint: ${GIT_BACKUP_MESSAGE}`, { all: 'tracked' });
+    }
+}
+
+/**
+ * Applies the changes of a patch to the git index as well, so they show up as staged.
+ * The change is replayed onto the staged version of each file, which may differ from the working tree.
+ * @param {{ change: object, displayPath: string }[]} changes
+ * @returns {Promise<string[]>} Messages for the files that could not be staged.
+ */
+async function stageAppliedChanges(changes) {
+    const git = await getGitApi();
+    if (!git) {
+        return ['⚠️ Changes were not staged: the git extension is not available.'];
+    }
+    const messages = [];
+    for (const { change, displayPath } of changes) {
+        const repository = git.getRepository(change.oldUri || change.uri);
+        if (!repository) {
+            messages.push(`⚠️ ${displayPath}: Not staged (not in a git repository).`);
+            continue;
+        }
+        try {
+            await stageChange(git.git.path, repository.rootUri.fsPath, change);
+        } catch (error) {
+            messages.push(`⚠️ ${displayPath}: Not staged (${error.message}).`);
+        }
+    }
+    return messages;
+}
+
+/**
+ * Writes one file change to the index of the repository at `root`.
+ * @param {string} gitPath
+ * @param {string} root
+ * @param {object} change A change returned by `prepareFileChange`.
+ */
+async function stageChange(gitPath, root, change) {
+    const indexPath = uri => path.relative(root, uri.fsPath).split(path.sep).join('/');
+    switch (change.operation) {
+        case 'create':
+            await writeIndexEntry(gitPath, root, indexPath(change.uri), '100644', change.patchedText);
+            break;
+        case 'delete':
+            await runGit(gitPath, root, ['update-index', '--force-remove', '--', indexPath(change.uri)]);
+            break;
+        case 'rename': {
+            const staged = await readIndexEntry(gitPath, root, indexPath(change.oldUri));
+            await writeIndexEntry(gitPath, root, indexPath(change.uri), staged.mode, patchStagedText(staged.text, change));
+            await runGit(gitPath, root, ['update-index', '--force-remove', '--', indexPath(change.oldUri)]);
+            break;
+        }
+        default: {
+            const staged = await readIndexEntry(gitPath, root, indexPath(change.uri));
+            await writeIndexEntry(gitPath, root, indexPath(change.uri), staged.mode, patchStagedText(staged.text, change));
+            break;
+        }
+    }
+}
+
+/**
+ * Replays a change onto the staged text of its file.
+ * @param {string} stagedText
+ * @param {object} change
+ */
+function patchStagedText(stagedText, change) {
+    if (stagedText === change.originalText) {
+        return change.patchedText;
+    }
+    // Little context, as lines next to the change may be unstaged edits
+    const filePatch = Diff.structuredPatch('', '', change.originalText, change.patchedText, '', '', { context: 1 });
+    const result = applyHunks(stagedText, filePatch, { ignoreWhitespace: true });
+    if (result.text === false) {
+        throw new Error('the staged version differs too much from the file');
+    }
+    return result.text;
+}
+
+/**
+ * @param {string} gitPath
+ * @param {string} root
+ * @param {string} indexPath Path relative to the repository root, with forward slashes.
+ * @returns {Promise<{ mode: string, text: string }>}
+ */
+async function readIndexEntry(gitPath, root, indexPath) {
+    const entry = await runGit(gitPath, root, ['ls-files', '--stage', '--', indexPath]);
+    const match = /^(\d+) ([0-9a-f]+) \d\t/.exec(entry);
+    if (!match) {
+        throw new Error('file is not tracked by git');
+    }
+    return { mode: match[1], text: await runGit(gitPath, root, ['cat-file', 'blob', match[2]]) };
+}
+
+/**
+ * @param {string} gitPath
+ * @param {string} root
+ * @param {string} indexPath
+ * @param {string} mode
+ * @param {string} text
+ */
+async function writeIndexEntry(gitPath, root, indexPath, mode, text) {
+    const blob = (await runGit(gitPath, root, ['hash-object', '-w', '--no-filters', '--stdin'], text)).trim();
+    await runGit(gitPath, root, ['update-index', '--add', '--cacheinfo', `${mode},${blob},${indexPath}`]);
+}
+
+/**
+ * Runs git and resolves with its standard output. Rejects with an error that
+ * carries git's exit status as `exitCode`.
+ * @param {string} gitPath
+ * @param {string} cwd
+ * @param {string[]} args
+ * @param {string} [input] Written to the standard input.
+ * @returns {Promise<string>}
+ */
+function runGit(gitPath, cwd, args, input) {
+    return new Promise((resolve, reject) => {
+        const child = childProcess.execFile(gitPath, args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const failure = new Error(stderr.trim() || error.message);
+                failure.exitCode = error.code;
+                reject(failure);
+            } else {
+                resolve(stdout);
+            }
+        });
+        if (input !== undefined) {
+            child.stdin.end(input);
+        }
+    });
+}
+
+const HISTORY_STATE_KEY = 'paste-and-apply-patch.history';
+const HISTORY_LIMIT = 20;
+/** Files larger than this (in characters) are listed in the history without their text, so they cannot be reverted. */
+const HISTORY_TEXT_LIMIT = 256 * 1024;
+
+/** Set in `activate`; records applied patches in the workspace state. */
+let patchHistory = undefined;
+
+/**
+ * Creates the patch history store and the tree data provider of the Patch History view.
+ * Entries keep the patch text and every touched file's content before and after
+ * the patch, so a whole patch can be reverted in one edit.
+ * @param {vscode.Memento} workspaceState
+ */
+function createPatchHistory(workspaceState) {
+    const onDidChangeTreeData = new vscode.EventEmitter();
+
+    const getEntries = () => workspaceState.get(HISTORY_STATE_KEY, []);
+    const saveEntries = async entries => {
+        await workspaceState.update(HISTORY_STATE_KEY, entries.slice(0, HISTORY_LIMIT));
+        onDidChangeTreeData.fire(undefined);
+    };
+
+    /**
+     * Records a successfully applied patch as the newest history entry.
+     * @param {string} patchText
+     * @param {PatchOptions} options
+     * @param {{ change: object, displayPath: string }[]} changes
+     */
+    async function record(patchText, options, changes) {
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: Date.now(),
+            patchText,
+            options,
+            reverted: false,
+            files: changes.map(({ change, displayPath }) => {
+                const beforeText = change.operation === 'create' ? null : change.originalText;
+                const afterText = change.operation === 'delete' ? null : change.patchedText;
+                const textOmitted = (beforeText?.length ?? 0) > HISTORY_TEXT_LIMIT || (afterText?.length ?? 0) > HISTORY_TEXT_LIMIT;
+                return {
+                    displayPath,
+                    operation: change.operation,
+                    uri: change.uri.toString(),
+                    oldUri: change.oldUri ? change.oldUri.toString() : undefined,
+                    beforeText: textOmitted ? null : beforeText,
+                    afterText: textOmitted ? null : afterText,
+                    textOmitted
+                };
+            })
+        };
+        await saveEntries([entry, ...getEntries()]);
+    }
+
+    /**
+     * @param {string} id
+     * @param {object} changes Properties to merge into the entry.
+     */
+    async function update(id, changes) {
+        await saveEntries(getEntries().map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+    }
+
+    const treeDataProvider = {
+        onDidChangeTreeData: onDidChangeTreeData.event,
+        getChildren(node) {
+            if (!node) {
+                return getEntries().map(entry => ({ entry }));
+            }
+            return node.file ? [] : node.entry.files.map(file => ({ entry: node.entry, file }));
+        },
+        getTreeItem(node) {
+            return node.file ? historyFileTreeItem(node.file) : historyEntryTreeItem(node.entry);
+        }
+    };
+
+    return {
+        getEntries,
+        record,
+        update,
+        clear: () => saveEntries([]),
+        treeDataProvider,
+        dispose: () => onDidChangeTreeData.dispose()
+    };
+}
+
+/**
+ * @param {object} entry A patch history entry.
+ */
+function historyEntryTreeItem(entry) {
+    const item = new vscode.TreeItem(
+        new Date(entry.timestamp).toLocaleString(),
+        vscode.TreeItemCollapsibleState.Collapsed
+    );
+    item.description = `${entry.files.length} file(s)${entry.options && entry.options.reverse ? ' · reverse-applied' : ''}${entry.reverted ? ' · reverted' : ''}`;
+    item.tooltip = entry.files.map(file => `${file.operation}: ${file.displayPath}`).join('\n');
+    item.iconPath = new vscode.ThemeIcon(entry.reverted ? 'discard' : 'diff');
+    item.contextValue = entry.reverted ? 'patchHistoryEntry.reverted' : 'patchHistoryEntry';
+    return item;
+}
+
+/**
+ * @param {object} file A file of a patch history entry.
+ */
+function historyFileTreeItem(file) {
+    const uri = vscode.Uri.parse(file.uri);
+    const item = new vscode.TreeItem(uri, vscode.TreeItemCollapsibleState.None);
+    item.label = file.displayPath;
+    item.description = CHANGE_SUCCESS_LABELS[file.operation] + (file.textOmitted ? ' (too large to revert)' : '');
+    item.contextValue = 'patchHistoryFile';
+    if (file.operation !== 'delete') {
+        item.command = { command: 'vscode.open', title: 'Open File', arguments: [uri] };
+    }
+    return item;
+}
+
+/**
+ * Picks the history entry a history command acts on: the tree node it was invoked
+ * on, or else an entry chosen from a QuickPick (the newest one first).
+ * @param {{ entry: object } | undefined} node
+ * @param {(entry: object) => boolean} [filter]
+ */
+async function pickHistoryEntry(node, filter = () => true) {
+    if (node && node.entry) {
+        return node.entry;
+    }
+    const entries = patchHistory ? patchHistory.getEntries().filter(filter) : [];
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage('There are no matching patches in the history.');
+        return undefined;
+    }
+    const picked = await vscode.window.showQuickPick(
+        entries.map(entry => ({
+            label: new Date(entry.timestamp).toLocaleString(),
+            description: entry.files.map(file => file.displayPath).join(', '),
+            entry
+        })),
+        { placeHolder: 'Select a patch from the history' }
+    );
+    return picked && picked.entry;
+}
+
+/**
+ * Reverts every file of a history entry in a single WorkspaceEdit. Warns first if
+ * any file changed after the patch was applied, since reverting would discard those edits.
+ * @param {{ entry: object } | undefined} node
+ */
+async function revertPatchFromHistory(node) {
+    const entry = await pickHistoryEntry(node, candidate => !candidate.reverted);
+    if (!entry) {
+        return;
+    }
+    const omitted = entry.files.filter(file => file.textOmitted);
+    if (omitted.length > 0) {
+        vscode.window.showErrorMessage(`Cannot revert the patch: ${omitted.map(file => file.displayPath).join(', ')} was too large to keep in the history.`);
+        return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    const changedFiles = [];
+    // Undo the files in reverse order so renames and re-creations do not collide
+    for (const file of [...entry.files].reverse()) {
+        const uri = vscode.Uri.parse(file.uri);
+        const currentText = await readCurrentText(uri);
+        if (currentText === null && file.operation !== 'create' && file.operation !== 'delete') {
+            vscode.window.showErrorMessage(`Cannot revert the patch: ${file.displayPath} no longer exists.`);
+            return;
+        }
+        if (currentText !== file.afterText) {
+            changedFiles.push(file.displayPath);
+        }
+        switch (file.operation) {
+            case 'create':
+                edit.deleteFile(uri, { ignoreIfNotExists: true });
+                break;
+            case 'delete':
+                if (currentText === null) {
+                    edit.createFile(uri, { ignoreIfExists: true });
+                    edit.insert(uri, new vscode.Position(0, 0), file.beforeText);
+                } else {
+                    // The file was created again since; its content is replaced, not prepended to
+                    replaceChangedLines(edit, uri, await vscode.workspace.openTextDocument(uri), file.beforeText);
+                }
+                break;
+            case 'rename': {
+                const document = await vscode.workspace.openTextDocument(uri);
+                replaceChangedLines(edit, uri, document, file.beforeText);
+                edit.renameFile(uri, vscode.Uri.parse(file.oldUri), { overwrite: false });
+                break;
+            }
+            default: {
+                const document = await vscode.workspace.openTextDocument(uri);
+                replaceChangedLines(edit, uri, document, file.beforeText);
+                break;
+            }
+        }
+    }
+
+    if (changedFiles.length > 0) {
+        const choice = await vscode.window.showWarningMessage(
+            'Some files changed after the patch was applied. Reverting will discard those changes.',
+            { modal: true, detail: changedFiles.join('\n') },
+            'Revert Anyway'
+        );
+        if (choice !== 'Revert Anyway') {
+            return;
+        }
+    }
+
+    if (await vscode.workspace.applyEdit(edit)) {
+        await patchHistory.update(entry.id, { reverted: true });
+        vscode.window.showInformationMessage(`Reverted the patch of ${entry.files.length} file(s). The reverted files are ready to save.`);
+    } else {
+        vscode.window.showErrorMessage('Failed to revert the patch. Files might be locked or changed externally.');
+    }
+}
+
+/**
+ * Returns a file's current text (including unsaved changes), or null if it does not exist.
+ * @param {vscode.Uri} uri
+ */
+async function readCurrentText(uri) {
+    if (!(await uriExists(uri))) {
+        return null;
+    }
+    try {
+        return (await vscode.workspace.openTextDocument(uri)).getText();
+    } catch {
+        return null;
+    }
+}
 
 /**
- * @param {vscode.ExtensionContext} context
+ * Opens the patch text of a history entry in an untitled editor.
+ * @param {{ entry: object } | undefined} node
  */
- function activate(context) {
-    console.log('Congratulations, your extension "paste-and-apply-patch" is now active!');
+async function openPatchFromHistory(node) {
+    const entry = await pickHistoryEntry(node);
+    if (!entry) {
+        return;
+    }
+    const document = await vscode.workspace.openTextDocument({ language: 'diff', content: entry.patchText });
+    await vscode.window.showTextDocument(document);
+}
 
-    let currentPanel = undefined;
+/**
+ * Applies the patch of a history entry again, with the options it was applied with.
+ * @param {{ entry: object } | undefined} node
+ */
+async function reapplyPatchFromHistory(node) {
+    const entry = await pickHistoryEntry(node);
+    if (entry) {
+        await applyMultiFilePatch(entry.patchText, { ...entry.options, interactive: true });
+    }
+}
 
-    context.subscriptions.push(
-        vscode.commands.registerCommand('paste-and-apply-patch.showPatchInput', () => {
-            // No need to capture active editor here anymore, as the patch dictates the files
-            const column = vscode.window.activeTextEditor
-                ? vscode.window.activeTextEditor.viewColumn
-                : vscode.ViewColumn.One; // Default to One if no editor active
-
-            if (currentPanel) {
-                currentPanel.reveal(column);
-                return;
-            }
+const PREVIEW_SCHEME = 'paste-and-apply-patch-preview';
 
-            const panel = vscode.window.createWebviewPanel(
-                'patchInput',
-                'Paste Multi-File Patch to Apply', // Updated title
-                column,
-                { enableScripts: true }
-            );
-            currentPanel = panel;
-            panel.webview.html = getWebviewContent(); // Use the same HTML getter
-
-            panel.webview.onDidReceiveMessage(
-                async message => {
-                    switch (message.command) {
-                        case 'applyPatch':
-                            const patchText = message.text;
-                            if (!patchText || patchText.trim() === '') {
-                                vscode.window.showWarningMessage('Patch text is empty.');
-                                return;
-                            }
-                            // Call the new multi-file handler
-                            await applyMultiFilePatch(patchText);
-                            panel.dispose(); // Close panel after attempting application
-                            return;
-                        case 'cancel':
-                            panel.dispose();
-                            return;
-                    }
-                },
-                undefined,
-                context.subscriptions
-            );
+/** Virtual document contents served to the diff editors, keyed by URI string. */
+const previewContents = new Map();
 
-            panel.onDidDispose(
-                () => { currentPanel = undefined; },
-                null,
-                context.subscriptions
-            );
-        })
-    );
+const previewContentProvider = {
+    provideTextDocumentContent(uri) {
+        return previewContents.get(uri.toString()) ?? '';
+    }
+};
+
+/** The preview currently waiting for Accept/Reject decisions, if any. */
+let activePreview = undefined;
+let previewCounter = 0;
+
+/**
+ * Computes the changes of a patch and opens a side-by-side diff editor
+ * (original vs. patched) for every file. Nothing is written until every file
+ * has been accepted or rejected; then only the accepted files are applied.
+ * @param {string} patchText
+ * @param {PatchOptions} [options]
+ * @returns {Promise<PatchFileResult[] | undefined>} Resolves once the diff editors are open.
+ */
+async function previewMultiFilePatch(patchText, options = {}) {
+    const plan = await preparePatch(patchText, options);
+    if (!plan) {
+        return undefined;
+    }
+    if (plan.changes.length === 0) {
+        // Nothing can be previewed; report the failures the usual way
+        return applyPreparedChanges(plan);
+    }
+
+    await discardPreview();
+
+    const previewId = ++previewCounter;
+    const files = plan.changes.map(({ change, displayPath }) => {
+        const originalUri = previewUri(previewId, 'original', change.oldUri || change.uri);
+        const patchedUri = previewUri(previewId, 'patched', change.uri);
+        previewContents.set(originalUri.toString(), change.originalText);
+        previewContents.set(patchedUri.toString(), change.patchedText);
+        return { change, displayPath, originalUri, patchedUri, decision: 'pending' };
+    });
+    activePreview = { ...plan, files };
+    await vscode.commands.executeCommand('setContext', 'paste-and-apply-patch.previewActive', true);
+
+    for (const [index, file] of files.entries()) {
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            file.originalUri,
+            file.patchedUri,
+            `${file.displayPath} (Patch Preview)`,
+            { preview: false, preserveFocus: index > 0 }
+        );
+    }
+
+    const detail = plan.failedFiles > 0 ? ` ${plan.failedFiles} file(s) could not be previewed and will be skipped.` : '';
+    vscode.window.showInformationMessage(
+        `Previewing ${files.length} file(s). Use Accept/Reject in the editor title bar of each diff.${detail}`,
+        'Accept All',
+        'Reject All'
+    ).then(choice => {
+        if (choice && activePreview && activePreview.files === files) {
+            const decision = choice === 'Accept All' ? 'accepted' : 'rejected';
+            files.filter(file => file.decision === 'pending').forEach(file => { file.decision = decision; });
+            finishPreview();
+        }
+    });
+    return [
+        ...plan.results,
+        ...files.map(({ change, displayPath }) => ({ path: displayPath, operation: change.operation, status: 'previewed', uri: change.uri }))
+    ];
 }
 
 /**
- * Parses a multi-file patch string and applies changes to each file individually,
- * leaving them in a dirty (unsaved) state.
- * @param {string} patchText The full Unified Diff patch text, potentially containing multiple files.
+ * Builds the virtual URI for one side of a preview diff. The file path is kept
+ * at the end so the diff editor picks the right language mode.
+ * @param {number} previewId
+ * @param {'original' | 'patched'} side
+ * @param {vscode.Uri} fileUri
  */
- async function applyMultiFilePatch(patchText) {
-    let successfulFiles = 0;
-    let failedFiles = 0;
-    let fileMessages = []; // Collect messages for summary
+function previewUri(previewId, side, fileUri) {
+    return vscode.Uri.from({ scheme: PREVIEW_SCHEME, path: `/${previewId}/${side}${fileUri.path}` });
+}
+
+/**
+ * Records an Accept/Reject decision for the previewed file shown in a diff editor.
+ * @param {vscode.Uri | undefined} uri URI of the diff editor (passed by the editor title menu).
+ * @param {'accepted' | 'rejected'} decision
+ */
+async function resolvePreviewFile(uri, decision) {
+    if (!activePreview) {
+        vscode.window.showWarningMessage('There is no patch preview in progress.');
+        return;
+    }
+    const targetUri = uri || (vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri);
+    const file = targetUri && activePreview.files.find(f =>
+        f.patchedUri.toString() === targetUri.toString() || f.originalUri.toString() === targetUri.toString());
+    if (!file) {
+        vscode.window.showWarningMessage('The active editor is not part of the current patch preview.');
+        return;
+    }
+
+    file.decision = decision;
+    await closePreviewTabs([file]);
+    if (activePreview.files.every(f => f.decision !== 'pending')) {
+        await finishPreview();
+    }
+}
+
+/**
+ * Applies the accepted files of the active preview and ends it.
+ */
+async function finishPreview() {
+    const preview = activePreview;
+    if (!preview) {
+        return;
+    }
+    await discardPreview();
+
+    let failedFiles = preview.failedFiles;
+    const fileMessages = preview.fileMessages;
+    const accepted = [];
+    for (const file of preview.files) {
+        if (file.decision !== 'accepted') {
+            fileMessages.push(`⏭️ ${file.displayPath}: Rejected in preview.`);
+        } else if (!(await isChangeStillCurrent(file.change))) {
+            failedFiles++;
+            fileMessages.push(`❌ ${file.displayPath}: Failed (File changed since the preview was created).`);
+        } else {
+            accepted.push({ change: file.change, displayPath: file.displayPath });
+        }
+    }
+
+    if (accepted.length === 0 && failedFiles === 0) {
+        vscode.window.showInformationMessage('All previewed changes were rejected. Nothing was applied.');
+        return;
+    }
+    await applyPreparedChanges({ ...preview, changes: accepted, failedFiles, fileMessages });
+}
+
+/**
+ * Ends the active preview (if any), closing its diff editors and releasing its contents.
+ */
+async function discardPreview() {
+    const preview = activePreview;
+    if (!preview) {
+        return;
+    }
+    activePreview = undefined;
+    await closePreviewTabs(preview.files);
+    for (const file of preview.files) {
+        previewContents.delete(file.originalUri.toString());
+        previewContents.delete(file.patchedUri.toString());
+    }
+    await vscode.commands.executeCommand('setContext', 'paste-and-apply-patch.previewActive', false);
+}
+
+/**
+ * @param {{ patchedUri: vscode.Uri }[]} files
+ */
+async function closePreviewTabs(files) {
+    const patchedUris = new Set(files.map(f => f.patchedUri.toString()));
+    const tabs = vscode.window.tabGroups.all
+        .flatMap(group => group.tabs)
+        .filter(tab => tab.input instanceof vscode.TabInputTextDiff && patchedUris.has(tab.input.modified.toString()));
+    if (tabs.length > 0) {
+        await vscode.window.tabGroups.close(tabs);
+    }
+}
 
+/**
+ * Checks that the document a change was computed from has not been edited since.
+ * Refreshes the change's document reference if it was closed in the meantime.
+ * @param {object} change
+ */
+async function isChangeStillCurrent(change) {
+    if (change.operation === 'create') {
+        return !(await uriExists(change.uri));
+    }
+    if (!change.document.isClosed) {
+        return change.document.version === change.documentVersion;
+    }
     try {
-        // 1. Parse the entire patch string
-        const multiFilePatches = Diff.parsePatch(patchText);
+        const document = await vscode.workspace.openTextDocument(change.document.uri);
+        change.document = document;
+        change.documentVersion = document.version;
+        return document.getText() === change.originalText;
+    } catch {
+        return false;
+    }
+}
 
-        if (!multiFilePatches || multiFilePatches.length === 0) {
-            vscode.window.showWarningMessage('Could not parse any file changes from the provided patch text.');
-            return;
+const CHANGE_SUCCESS_LABELS = {
+    modify: 'Patched',
+    create: 'Created',
+    delete: 'Deleted',
+    rename: 'Renamed'
+};
+
+/** Operations that leave the file's buffer unsaved; deletions and renames happen on disk. */
+const UNSAVED_OPERATIONS = new Set(['modify', 'create']);
+
+/**
+ * Creates the resolver that maps paths from a patch to workspace files.
+ * Paths are tried relative to every workspace folder (also with a leading folder
+ * name removed), then matched by path suffix across the workspace; when several
+ * files match, the user picks one. Choices are remembered for the resolver's lifetime.
+ * @param {readonly vscode.WorkspaceFolder[]} workspaceFolders
+ * @param {{interactive?: boolean}} [settings] With `interactive: false`, ambiguous paths fail instead of prompting.
+ */
+function createPathResolver(workspaceFolders, { interactive = true } = {}) {
+    const resolved = new Map();
+
+    /**
+     * Finds the existing file a patch path refers to, or undefined if there is none.
+     * @param {string} filePath
+     * @returns {Promise<vscode.Uri | undefined>}
+     */
+    async function findExisting(filePath) {
+        if (resolved.has(filePath)) {
+            return resolved.get(filePath);
+        }
+        let candidates = await existingDirectCandidates(filePath);
+        if (candidates.length === 0) {
+            candidates = await findFilesBySuffix(filePath);
         }
+        if (candidates.length > 1 && !interactive) {
+            throw new Error(`Ambiguous path, ${candidates.length} files match`);
+        }
+        const uri = candidates.length > 1 ? await pickCandidate(filePath, candidates) : candidates[0];
+        resolved.set(filePath, uri);
+        return uri;
+    }
 
-        // 2. Get Workspace Folder (needed for resolving relative paths)
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (!workspaceFolders || workspaceFolders.length === 0) {
-            vscode.window.showErrorMessage('No workspace folder open. Cannot resolve file paths from the patch.');
-            return;
+    /**
+     * Like `findExisting`, but throws a FileNotFound error if no file matches.
+     * @param {string} filePath
+     */
+    async function resolveExisting(filePath) {
+        const uri = await findExisting(filePath);
+        if (!uri) {
+            throw fileNotFoundError(filePath);
         }
-        const workspaceRootUri = workspaceFolders[0].uri; // Simple strategy: use the first folder
+        return uri;
+    }
 
-        // 3. Iterate through each file patch object
-        for (const filePatch of multiFilePatches) {
-            // Determine the target path (prefer new file name, handle prefixes)
-            let relativePath = filePatch.newFileName || filePatch.oldFileName;
-            if (!relativePath || relativePath === '/dev/null') {
-                 // Skip /dev/null entries or patches without filenames (shouldn't happen often)
-                 console.warn('Skipping patch entry with missing or /dev/null path:', filePatch);
-                 continue;
+    /**
+     * Chooses where a file that does not exist yet should be created, or returns
+     * the file that already exists at exactly that path.
+     * @param {string} filePath
+     * @param {vscode.Uri} [nearUri] A related file (e.g. a rename source) whose workspace folder is preferred.
+     */
+    async function resolveNew(filePath, nearUri) {
+        if (isAbsolutePath(filePath)) {
+            return vscode.Uri.file(filePath);
+        }
+        const nearFolder = nearUri && vscode.workspace.getWorkspaceFolder(nearUri);
+        if (nearFolder) {
+            return vscode.Uri.joinPath(nearFolder.uri, filePath);
+        }
+        // A file that already exists at the path, so callers can tell creating from overwriting
+        const [existing] = await existingDirectCandidates(filePath);
+        if (existing) {
+            return existing;
+        }
+        const [firstSegment, ...rest] = filePath.split('/');
+        const namedFolder = workspaceFolders.find(folder => folder.name === firstSegment);
+        if (namedFolder && rest.length > 0) {
+            return vscode.Uri.joinPath(namedFolder.uri, rest.join('/'));
+        }
+        // Prefer a folder that already contains the parent directory
+        const parentPath = filePath.split('/').slice(0, -1).join('/');
+        if (parentPath) {
+            for (const folder of workspaceFolders) {
+                if (await uriExists(vscode.Uri.joinPath(folder.uri, parentPath))) {
+                    return vscode.Uri.joinPath(folder.uri, filePath);
+                }
             }
-            if (relativePath.startsWith('a/')) relativePath = relativePath.substring(2);
-            if (relativePath.startsWith('b/')) relativePath = relativePath.substring(2);
-            relativePath = relativePath.replace(/\\/g, '/'); // Normalize separators
+        }
+        return vscode.Uri.joinPath(workspaceFolders[0].uri, filePath);
+    }
 
-            const targetUri = vscode.Uri.joinPath(workspaceRootUri, relativePath);
-            let document;
-            let originalText;
+    /**
+     * Existing files the path names directly: absolute paths inside the workspace,
+     * or the path joined to each workspace folder.
+     * @param {string} filePath
+     */
+    async function existingDirectCandidates(filePath) {
+        if (isAbsolutePath(filePath)) {
+            const uri = vscode.Uri.file(filePath);
+            return vscode.workspace.getWorkspaceFolder(uri) && await uriExists(uri) ? [uri] : [];
+        }
+        const uris = [];
+        const [firstSegment, ...rest] = filePath.split('/');
+        for (const folder of workspaceFolders) {
+            uris.push(vscode.Uri.joinPath(folder.uri, filePath));
+            // Patches made from a multi-root workspace often start with the folder's name
+            if (folder.name === firstSegment && rest.length > 0) {
+                uris.push(vscode.Uri.joinPath(folder.uri, rest.join('/')));
+            }
+        }
+        const existing = [];
+        for (const uri of uris) {
+            if (!existing.some(other => other.toString() === uri.toString()) && await uriExists(uri)) {
+                existing.push(uri);
+            }
+        }
+        return existing;
+    }
 
-            try {
-                // 4. Open the document (loads content into memory)
-                document = await vscode.workspace.openTextDocument(targetUri);
-                originalText = document.getText();
-
-                // 5. Apply ONLY this file's changes
-                // Pass the filePatch object directly to applyPatch!
-                let patchedText;
-                const normalizedOriginalText = originalText.replace(/\r\n/g, '\n');
-                // Note: filePatch object likely already uses normalized line endings from parsing
-                patchedText = Diff.applyPatch(normalizedOriginalText, filePatch);
-                 if (patchedText === false) {
-                    // Fallback without normalization (less likely needed with parsed object)
-                    patchedText = Diff.applyPatch(originalText, filePatch);
-                }
+    return { findExisting, resolveExisting, resolveNew };
+}
 
+/**
+ * Searches the workspace for files with the same name and keeps those that
+ * `matchBySuffix` picks for `filePath`.
+ * @param {string} filePath
+ * @returns {Promise<vscode.Uri[]>}
+ */
+async function findFilesBySuffix(filePath) {
+    const segments = filePath.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+    const basename = segments[segments.length - 1];
+    if (!basename) {
+        return [];
+    }
+    // Glob special characters are replaced by `?` and the exact name is checked below
+    const pattern = `**/${basename.replace(/[{}[\]*?]/g, '?')}`;
+    const found = await vscode.workspace.findFiles(pattern, '**/node_modules/**', 200);
 
-                if (patchedText === false) {
-                    console.error(`Failed to apply patch to ${relativePath}. Context mismatch or other error.`);
-                    fileMessages.push(`❌ ${relativePath}: Failed (Context mismatch or invalid patch for file).`);
-                    failedFiles++;
-                    continue; // Move to the next file
-                }
+    const byPath = new Map(found.map(uri => [vscode.workspace.asRelativePath(uri, false), uri]));
+    return matchBySuffix(filePath, [...byPath.keys()]).map(relativePath => byPath.get(relativePath));
+}
 
-                // 6. Create and apply a WorkspaceEdit for THIS file only
-                const edit = new vscode.WorkspaceEdit();
-                const fullRange = new vscode.Range(
-                    document.positionAt(0),
-                    document.positionAt(originalText.length)
-                );
-                edit.replace(document.uri, fullRange, patchedText);
-
-                const success = await vscode.workspace.applyEdit(edit);
-
-                if (success) {
-                    successfulFiles++;
-                    fileMessages.push(`✅ ${relativePath}: Patched (Ready to save).`);
-                    // Optional: Reveal the editor if the document is visible
-                    // Find if an editor for this document exists and reveal it
-                    const editor = vscode.window.visibleTextEditors.find(e => e.document.uri.toString() === document.uri.toString());
-                    if(editor) {
-                        vscode.window.showTextDocument(document, { viewColumn: editor.viewColumn, preserveFocus: true });
-                    }
+/**
+ * Asks the user which of several matching files a patch path refers to.
+ * @param {string} filePath
+ * @param {vscode.Uri[]} candidates
+ */
+async function pickCandidate(filePath, candidates) {
+    const picked = await vscode.window.showQuickPick(
+        candidates.map(uri => ({ label: vscode.workspace.asRelativePath(uri, true), uri })),
+        {
+            placeHolder: `Several files match "${filePath}" from the patch. Which one should be patched?`,
+            ignoreFocusOut: true
+        }
+    );
+    if (!picked) {
+        throw new Error('No file chosen for ambiguous path');
+    }
+    return picked.uri;
+}
 
-                } else {
-                    failedFiles++;
-                    fileMessages.push(`❌ ${relativePath}: Failed to apply edit (File might be locked or changed externally?).`);
-                    console.error(`Failed to apply workspace edit for ${relativePath}`);
-                }
+/**
+ * Reads the target file(s) of an entry from the workspace and computes the
+ * resulting change. Throws if the patch cannot be applied to the current
+ * workspace state.
+ * @param {object} entry
+ * @param {ReturnType<typeof createPathResolver> | ReturnType<typeof createWorkspaceOverlay>} resolver
+ *     An overlay also provides the file contents.
+ * @param {PatchOptions} options
+ */
+async function prepareFileChange(entry, resolver, options) {
+    const excludedGlobs = excludedFileGlobs();
+    const checked = resolve => async (...args) => {
+        const uri = await resolve(...args);
+        if (uri) {
+            checkPatchTarget(uri, excludedGlobs);
+        }
+        return uri;
+    };
+    const host = {
+        exists: uriExists,
+        read: readWorkspaceFile,
+        ...resolver,
+        findExisting: checked(resolver.findExisting),
+        resolveExisting: checked(resolver.resolveExisting),
+        resolveNew: checked(resolver.resolveNew)
+    };
+    const fileCreation = vscode.workspace.getConfiguration('paste-and-apply-patch').get('fileCreation', 'allow');
+    const { maxFileSize } = patchSizeLimits();
+    return fromCoreChange(await core.prepareFileChange(entry, host, { ...options, fileCreation, maxFileSize }));
+}
 
-            } catch (error) {
-                // Handle errors during file processing (e.g., file not found)
-                 failedFiles++;
-                 if (error.message.includes('cannot open file') || error.code === 'FileNotFound') {
-                      fileMessages.push(`❌ ${relativePath}: Failed (File not found in workspace).`);
-                      console.error(`File not found: ${targetUri.fsPath}`);
-                 } else {
-                      fileMessages.push(`❌ ${relativePath}: Failed (Error: ${error.message}).`);
-                      console.error(`Error processing file ${targetUri.fsPath}:`, error);
-                 }
+/**
+ * Converts a change computed by `core.prepareFileChange` to the form used here:
+ * URIs as `uri` and `oldUri`, and the document that was read with its version.
+ * @param {object} change
+ */
+function fromCoreChange({ target, source, file, ...change }) {
+    const document = file && file.document;
+    return { ...change, uri: target, oldUri: source, document, documentVersion: document && file.version };
+}
+
+/**
+ * The reverse of `fromCoreChange`.
+ * @param {object} change
+ */
+function toCoreChange({ uri, oldUri, document, documentVersion, ...change }) {
+    const file = document && { text: change.originalText, document, version: documentVersion };
+    return { ...change, target: uri, source: oldUri, file };
+}
+
+/**
+ * Throws if a patch may not touch the file: it lies outside the workspace
+ * folders or matches an excluded glob.
+ * @param {vscode.Uri} uri
+ * @param {string[]} excludedGlobs
+ */
+function checkPatchTarget(uri, excludedGlobs) {
+    if (!vscode.workspace.getWorkspaceFolder(uri)) {
+        throw outsideRootError(uri.fsPath);
+    }
+    if (matchesGlob(vscode.workspace.asRelativePath(uri, false), excludedGlobs)) {
+        throw new Error('Excluded by the "paste-and-apply-patch.excludedFiles" or "files.exclude" setting');
+    }
+}
+
+/**
+ * Opens a workspace file as a text document. Files that are not open yet are
+ * checked first, so binary files and files over the size limit are never loaded.
+ * @param {vscode.Uri} uri
+ * @param {{ openDocument?: boolean }} [settings] With `openDocument: false`, a file that is not
+ *     open yet is only read from disk (for dry runs), and no document is returned for it.
+ * @returns {Promise<{ text: string, document?: vscode.TextDocument, version?: number }>}
+ */
+async function readWorkspaceFile(uri, { openDocument = true } = {}) {
+    const key = uri.toString();
+    let document = vscode.workspace.textDocuments.find(open => open.uri.toString() === key);
+    if (!document) {
+        const { maxFileSize } = patchSizeLimits();
+        const { size } = await vscode.workspace.fs.stat(uri);
+        if (maxFileSize && size > maxFileSize) {
+            throw fileTooLargeError(size, maxFileSize);
+        }
+        const content = await vscode.workspace.fs.readFile(uri);
+        if (looksBinary(content)) {
+            throw binaryFileError();
+        }
+        if (!openDocument) {
+            return { text: new TextDecoder('utf-8').decode(content) };
+        }
+        document = await vscode.workspace.openTextDocument(uri);
+    }
+    return { text: document.getText(), document, version: document.version };
+}
+
+/**
+ * Adds the operations for a computed file change to a WorkspaceEdit.
+ * @param {vscode.WorkspaceEdit} edit
+ * @param {Awaited<ReturnType<typeof prepareFileChange>>} change
+ */
+function addChangeToEdit(edit, change) {
+    switch (change.operation) {
+        case 'create':
+            // The file service creates missing parent folders
+            edit.createFile(change.uri, { ignoreIfExists: false });
+            if (change.patchedText.length > 0) {
+                edit.insert(change.uri, new vscode.Position(0, 0), change.patchedText);
             }
-        } // End of loop through files
+            break;
+        case 'delete':
+            edit.deleteFile(change.uri, { ignoreIfNotExists: false });
+            break;
+        case 'rename':
+            // Edit the buffer before moving it, so the dirty content travels with the rename
+            replaceChangedLines(edit, change.oldUri, change.document, change.patchedText);
+            edit.renameFile(change.oldUri, change.uri, { overwrite: false });
+            break;
+        default:
+            replaceChangedLines(edit, change.uri, change.document, change.patchedText);
+            break;
+    }
+}
 
-    } catch (error) {
-        // Handle errors during initial patch parsing
-        console.error('Error parsing patch string:', error);
-        vscode.window.showErrorMessage(`Failed to parse the patch text: ${error.message}`);
-        return; // Stop execution
+/**
+ * Adds the replacements that turn a document's text into `newText` to a WorkspaceEdit.
+ * Only runs of lines that differ are replaced, so cursors, folding, breakpoints and
+ * other decorations outside them survive.
+ * @param {vscode.WorkspaceEdit} edit
+ * @param {vscode.Uri} uri
+ * @param {vscode.TextDocument} document
+ * @param {string} newText
+ */
+function replaceChangedLines(edit, uri, document, newText) {
+    let offset = 0; // Position in the document's current text
+    let pending = null; // Replacement being collected for consecutive changed lines
+    const flush = () => {
+        if (pending) {
+            const range = new vscode.Range(document.positionAt(pending.start), document.positionAt(pending.end));
+            edit.replace(uri, range, pending.text);
+            pending = null;
+        }
+    };
+    for (const part of Diff.diffLines(document.getText(), newText)) {
+        if (!part.added && !part.removed) {
+            flush();
+            offset += part.value.length;
+            continue;
+        }
+        pending = pending || { start: offset, end: offset, text: '' };
+        if (part.removed) {
+            offset += part.value.length;
+            pending.end = offset;
+        } else {
+            pending.text += part.value;
+        }
     }
+    flush();
+}
 
-    // 7. Show Summary Notification
-    let summaryMessage = `Patch application finished. ${successfulFiles} file(s) patched successfully and are ready to save. ${failedFiles} file(s) failed.`;
-    if (failedFiles > 0) {
-        vscode.window.showWarningMessage(summaryMessage, { modal: true, detail: fileMessages.join('\n') }); // Show details in a modal
-    } else if (successfulFiles > 0) {
-        vscode.window.showInformationMessage(summaryMessage);
-    } else {
-        // This might happen if the patch was parsed but all files failed or were skipped
-        vscode.window.showWarningMessage('Patch processed, but no files were successfully modified.');
+/**
+ * @param {vscode.Uri} uri
+ */
+async function uriExists(uri) {
+    try {
+        await vscode.workspace.fs.stat(uri);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Shows a patched file as configured by `paste-and-apply-patch.openPatchedFiles`.
+ * @param {object} change
+ * @param {'none' | 'visible' | 'all'} mode `visible` only reveals editors that are already visible, `all` opens every patched file.
+ */
+function showPatchedFile(change, mode) {
+    if (mode === 'all' && change.operation !== 'delete') {
+        return vscode.window.showTextDocument(change.uri, { preview: false, preserveFocus: true });
+    }
+    if (mode !== 'none') {
+        revealIfVisible(change.uri);
+    }
+    return undefined;
+}
+
+/**
+ * Reveals the editor of a patched document if it is already visible.
+ * @param {vscode.Uri} uri
+ */
+function revealIfVisible(uri) {
+    const editor = vscode.window.visibleTextEditors.find(e => e.document.uri.toString() === uri.toString());
+    if (editor) {
+        vscode.window.showTextDocument(editor.document, { viewColumn: editor.viewColumn, preserveFocus: true });
     }
 }
 
@@ -375,8 +2458,17 @@ async function applyPatchFromText(patchText) {
 
 /**
  * Generates the HTML content for the Webview panel.
+ * @param {PatchOptions} defaults Initial values of the option controls.
  */
-function getWebviewContent() {
+function getWebviewContent(defaults) {
+    const stripLevels = [0, 1, 2, 3];
+    if (defaults.stripLevel !== undefined && !stripLevels.includes(defaults.stripLevel)) {
+        stripLevels.push(defaults.stripLevel);
+    }
+    const stripLevelOptions = stripLevels
+        .map(level => `<option value="${level}"${level === defaults.stripLevel ? ' selected' : ''}>${level}</option>`)
+        .join('\n                ');
+
     // It's good practice to get the nonce for security
     // const nonce = getNonce(); // See VS Code Webview docs for nonce generation
 
@@ -400,7 +2492,7 @@ function getWebviewContent() {
         }
         textarea {
             width: 95%;
-            height: 60vh; /* Adjust height as needed */
+            height: 45vh; /* Adjust height as needed */
             display: block;
             margin-bottom: 10px;
             font-family: var(--vscode-editor-font-family); /* Use editor font for monospace */
@@ -422,16 +2514,117 @@ function getWebviewContent() {
         #button-container {
             margin-top: 10px;
         }
+        #options-container {
+            margin-bottom: 10px;
+        }
+        #options-container label {
+            margin-right: 15px;
+        }
+        #options-container input[type="number"] {
+            width: 4em;
+        }
+        #options-container input[type="number"],
+        #options-container select {
+            color: var(--vscode-input-foreground);
+            background-color: var(--vscode-input-background);
+            border: 1px solid var(--vscode-input-border);
+        }
+        #status-container {
+            max-height: 25vh;
+            overflow-y: auto;
+            margin-bottom: 10px;
+        }
+        #status-table {
+            border-collapse: collapse;
+            width: 95%;
+        }
+        #status-table caption {
+            text-align: left;
+            padding: 2px 8px;
+            opacity: 0.8;
+        }
+        #status-table th,
+        #status-table td {
+            text-align: left;
+            padding: 2px 8px;
+            border-bottom: 1px solid var(--vscode-panel-border);
+        }
+        #status-table td.stats {
+            font-family: var(--vscode-editor-font-family);
+            white-space: nowrap;
+        }
+        #queue-list li {
+            margin-bottom: 4px;
+        }
+        #queue-list .queue-status {
+            margin: 0 8px;
+        }
+        #queue-list button {
+            padding: 0 6px;
+            margin-right: 2px;
+        }
+        .status-ok {
+            color: var(--vscode-testing-iconPassed);
+        }
+        .status-warning {
+            color: var(--vscode-editorWarning-foreground);
+        }
+        .status-error {
+            color: var(--vscode-errorForeground);
+        }
     </style>
 </head>
 <body>
     <h1>Paste Unified Diff Patch</h1>
-    <p>Paste the patch content below and click "Apply Patch".</p>
+    <p>Paste the patch content (a unified diff, SEARCH/REPLACE blocks, or a whole LLM response containing them) below and click "Apply Patch", or "Preview Changes" to review each file in a diff editor first. The table below the options shows what "Apply Patch" will do to each file.</p>
 
     <textarea id="patch-text" placeholder="--- a/file.txt\n+++ b/file.txt\n@@ ... @@\n-removed line\n+added line"></textarea>
 
+    <div id="queue-container" hidden>
+        <h2>Patch Queue</h2>
+        <p>"Apply Queue" applies these patches in order as one step, each on top of the previous ones, and applies nothing if one of them fails. The patch in the text box is checked against the files as the queue leaves them.</p>
+        <ol id="queue-list"></ol>
+    </div>
+
+    <div id="options-container">
+        <label title="Number of context lines per hunk that may differ from the file">
+            Fuzz factor <input type="number" id="fuzz-factor" min="0" max="10" value="${defaults.fuzzFactor}">
+        </label>
+        <label title="Match lines even if indentation or other whitespace differs">
+            <input type="checkbox" id="ignore-whitespace" ${defaults.ignoreWhitespace ? 'checked' : ''}> Ignore whitespace differences
+        </label>
+        <label title="Leading path components to remove from file names in the patch, like patch -p">
+            Strip level
+            <select id="strip-level">
+                <option value=""${defaults.stripLevel === undefined ? ' selected' : ''}>Auto (a/, b/)</option>
+                ${stripLevelOptions}
+            </select>
+        </label>
+        <label title="Apply the hunks that match and report the others instead of skipping the whole file">
+            <input type="checkbox" id="allow-partial" ${defaults.allowPartial ? 'checked' : ''}> Apply matching hunks when others fail
+        </label>
+        <label title="Apply the changes to the git index as well, so they are staged">
+            <input type="checkbox" id="stage-changes" ${defaults.stage ? 'checked' : ''}> Stage changes in git
+        </label>
+    </div>
+
+    <div id="status-container">
+        <p id="status-message"></p>
+        <table id="status-table" hidden>
+            <caption>When applied with "Apply Patch" ("Reverse Apply" is checked when it is clicked)</caption>
+            <thead>
+                <tr><th>File</th><th>Status</th><th>Hunks</th><th>Lines</th></tr>
+            </thead>
+            <tbody id="status-rows"></tbody>
+        </table>
+    </div>
+
     <div id="button-container">
         <button id="apply-button">Apply Patch</button>
+        <button id="preview-button">Preview Changes</button>
+        <button id="reverse-button">Reverse Apply</button>
+        <button id="queue-add-button" title="Move the patch into the queue and clear the text box for the next one">Add to Queue</button>
+        <button id="queue-apply-button" hidden>Apply Queue</button>
         <button id="cancel-button">Cancel</button>
     </div>
 
@@ -440,18 +2633,164 @@ function getWebviewContent() {
         const vscode = acquireVsCodeApi();
 
         const applyButton = document.getElementById('apply-button');
+        const previewButton = document.getElementById('preview-button');
+        const reverseButton = document.getElementById('reverse-button');
         const cancelButton = document.getElementById('cancel-button');
         const patchTextArea = document.getElementById('patch-text');
+        const fuzzFactorInput = document.getElementById('fuzz-factor');
+        const ignoreWhitespaceInput = document.getElementById('ignore-whitespace');
+        const allowPartialInput = document.getElementById('allow-partial');
+        const stripLevelInput = document.getElementById('strip-level');
+        const stageChangesInput = document.getElementById('stage-changes');
+        const statusMessage = document.getElementById('status-message');
+        const statusTable = document.getElementById('status-table');
+        const statusRows = document.getElementById('status-rows');
+        const queueContainer = document.getElementById('queue-container');
+        const queueList = document.getElementById('queue-list');
+        const queueAddButton = document.getElementById('queue-add-button');
+        const queueApplyButton = document.getElementById('queue-apply-button');
+
+        // Queued patch texts survive the panel being hidden and shown again
+        let queue = (vscode.getState() || {}).queue || [];
+        let queueRows = [];
 
         // Set focus to the textarea when the webview loads
         patchTextArea.focus();
 
-        applyButton.addEventListener('click', () => {
-            const patchText = patchTextArea.value;
-            vscode.postMessage({
-                command: 'applyPatch',
-                text: patchText
+        // The panel's options, in the form optionsFromMessage reads them
+        function collectOptions() {
+            return {
+                fuzzFactor: fuzzFactorInput.value,
+                ignoreWhitespace: ignoreWhitespaceInput.checked,
+                allowPartial: allowPartialInput.checked,
+                stripLevel: stripLevelInput.value,
+                stage: stageChangesInput.checked
+            };
+        }
+
+        // Dry-run the patch while it is typed or pasted; only the latest answer is shown
+        let validationTimer;
+        let validationRequest = 0;
+        function scheduleValidation() {
+            clearTimeout(validationTimer);
+            validationTimer = setTimeout(() => {
+                vscode.postMessage({
+                    command: 'validatePatch',
+                    requestId: ++validationRequest,
+                    text: patchTextArea.value,
+                    ...collectOptions(),
+                    queue
+                });
+            }, 400);
+        }
+        patchTextArea.addEventListener('input', scheduleValidation);
+        [fuzzFactorInput, ignoreWhitespaceInput, allowPartialInput, stripLevelInput].forEach(input => {
+            input.addEventListener('change', scheduleValidation);
+        });
+
+        function renderValidation(result) {
+            statusMessage.textContent = result.message || '';
+            statusRows.replaceChildren();
+            for (const file of result.files) {
+                const row = document.createElement('tr');
+                const cells = [file.path, file.status, String(file.hunks), '+' + file.additions + ' -' + file.deletions];
+                cells.forEach((text, index) => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    if (index === 1) {
+                        cell.className = 'status-' + file.state;
+                    } else if (index === 3) {
+                        cell.className = 'stats';
+                    }
+                    row.appendChild(cell);
+                });
+                statusRows.appendChild(row);
+            }
+            statusTable.hidden = result.files.length === 0;
+            queueRows = result.queue || [];
+            renderQueue();
+        }
+
+        function renderQueue() {
+            queueList.replaceChildren();
+            queue.forEach((text, index) => {
+                const row = queueRows[index];
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = row && row.files.length > 0 ? row.files.join(', ') : 'Patch ' + (index + 1);
+                const status = document.createElement('span');
+                status.className = 'queue-status' + (row ? ' status-' + row.state : '');
+                status.textContent = row ? row.status : 'Checking...';
+                item.append(label, status);
+                [['↑', 'Move up', index - 1], ['↓', 'Move down', index + 1], ['✕', 'Remove from the queue', -1]].forEach(([symbol, title, target]) => {
+                    const button = document.createElement('button');
+                    button.textContent = symbol;
+                    button.title = title;
+                    button.disabled = target >= queue.length || (target < 0 && symbol !== '✕');
+                    button.addEventListener('click', () => {
+                        const [moved] = queue.splice(index, 1);
+                        if (target >= 0) {
+                            queue.splice(target, 0, moved);
+                        }
+                        queueChanged();
+                    });
+                    item.appendChild(button);
+                });
+                queueList.appendChild(item);
             });
+            queueContainer.hidden = queue.length === 0;
+            queueApplyButton.hidden = queue.length === 0;
+        }
+
+        function queueChanged() {
+            vscode.setState({ queue });
+            queueRows = [];
+            renderQueue();
+            scheduleValidation();
+        }
+
+        renderQueue();
+        if (queue.length > 0) {
+            scheduleValidation();
+        }
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (message.command === 'validationResult' && message.requestId === validationRequest) {
+                renderValidation(message);
+            } else if (message.command === 'setPatchText') {
+                patchTextArea.value = message.text;
+                scheduleValidation();
+            } else if (message.command === 'queueApplied') {
+                queue = [];
+                queueChanged();
+            }
+        });
+
+        applyButton.addEventListener('click', () => {
+            vscode.postMessage({ command: 'applyPatch', text: patchTextArea.value, ...collectOptions() });
+        });
+
+        previewButton.addEventListener('click', () => {
+            vscode.postMessage({ command: 'previewPatch', text: patchTextArea.value, ...collectOptions() });
+        });
+
+        reverseButton.addEventListener('click', () => {
+            vscode.postMessage({ command: 'reverseApplyPatch', text: patchTextArea.value, ...collectOptions() });
+        });
+
+        queueAddButton.addEventListener('click', () => {
+            if (patchTextArea.value.trim() === '') {
+                return;
+            }
+            queue.push(patchTextArea.value);
+            patchTextArea.value = '';
+            queueChanged();
+            patchTextArea.focus();
+        });
+
+        queueApplyButton.addEventListener('click', () => {
+            vscode.postMessage({ command: 'applyQueue', queue, ...collectOptions() });
         });
 
         cancelButton.addEventListener('click', () => {
@@ -0,0 +1,1700 @@
+/**
+ * The patch pipeline without VS Code: finds diffs in pasted text, parses unified
+ * diffs, SEARCH/REPLACE and whole-file blocks, and applies them through a host
+ * that reads files (VS Code documents in the extension, a file system in the CLI).
+ */
+const Diff = require('diff');
+
+const DEV_NULL = '/dev/null';
+
+/** Default matching options and limits; the extension's settings override them. */
+const DEFAULT_PATCH_OPTIONS = {
+    fuzzFactor: 2,
+    ignoreWhitespace: true,
+    allowPartial: true,
+    stripLevel: undefined,
+    reverse: false,
+    maxPatchSize: 1024 * 1024,
+    maxFileSize: 2 * 1024 * 1024
+};
+
+/**
+ * @typedef {object} PatchOptions
+ * @property {number} [fuzzFactor] Number of outer context lines on each side of a hunk that may mismatch, like `patch --fuzz`.
+ * @property {boolean} [ignoreWhitespace] Match lines ignoring indentation and whitespace differences.
+ * @property {boolean} [allowPartial] Apply the hunks that match even if others do not.
+ * @property {number} [stripLevel] Leading path components to remove from diff paths; undefined strips `a/` and `b/`.
+ * @property {boolean} [reverse] Apply the inverse of the patch, backing its changes out.
+ * @property {boolean} [stage] Also apply the changes to the git index.
+ * @property {'allow' | 'confirm' | 'never'} [fileCreation] With `never`, entries that create files fail.
+ * @property {number} [maxPatchSize] Longest patch text accepted, in characters; 0 for no limit.
+ * @property {number} [maxFileSize] Longest file that may be patched or created, in characters; 0 for no limit.
+ */
+
+/**
+ * @typedef {object} HunkResult
+ * @property {number} index Zero-based index of the hunk in the file patch.
+ * @property {boolean} applied Whether a matching location was found.
+ * @property {number} expectedLine One-based line the hunk header points to.
+ * @property {number} [line] One-based line where the hunk was placed.
+ * @property {number} [offset] Difference between the placed and the expected line.
+ * @property {number} [fuzz] Outer context lines per side that were allowed to differ (`patch`-style fuzz).
+ * @property {boolean} [whitespace] Whether the match needed whitespace tolerance.
+ * @property {number} [candidateLine] For rejected hunks: one-based line in the patched text of the most similar location.
+ * @property {number} [candidateMatches] For rejected hunks: how many of the hunk's old lines are similar there.
+ * @property {number} [oldLineCount] For rejected hunks: number of context and removed lines in the hunk.
+ */
+
+/**
+ * Finds every diff in arbitrary pasted text (e.g. a whole LLM chat response),
+ * strips markdown fences and line numbering, repairs common formatting mistakes
+ * and merges the result into one multi-file patch.
+ * @param {string} rawText
+ * @returns {string | null} The patch, or null if the text contains no recognizable diff.
+ */
+function extractPatchText(rawText) {
+    const blocks = findDiffBlocks(rawText.replace(/\r\n/g, '\n').split('\n'));
+    if (blocks.length === 0) {
+        return null;
+    }
+    // Blocks are concatenated in order, so a block that only contains hunks
+    // continues the last file of the block before it.
+    return blocks.map(block => repairDiffLines(stripLineNumbers(block)).join('\n')).join('\n') + '\n';
+}
+
+const DIFF_START_PATTERN = /^(diff --git |Index: |--- |\+\+\+ |@@)/;
+const DIFF_META_PATTERN = /^(diff --git |index |Index: |={10,}$|new file mode|deleted file mode|old mode|new mode|similarity index|dissimilarity index|rename from|rename to|copy from|copy to|Binary files|GIT binary patch)/;
+
+/**
+ * Collects the diff blocks of a text: the contents of fenced code blocks that
+ * contain diff markers, and unfenced runs of diff lines found between the prose.
+ * @param {string[]} lines
+ * @returns {string[][]}
+ */
+function findDiffBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const fence = /^(\s*)(`{3,}|~{3,})/.exec(lines[i]);
+        if (fence) {
+            const [, indent, marker] = fence;
+            const content = [];
+            i++;
+            // A closing fence has no info string and the opening fence's indentation, so diff
+            // lines holding a fence of the patched file (" ```", "+```js") do not end the block
+            const closingFence = new RegExp(`^${indent}${marker[0]}{${marker.length},}\\s*$`);
+            while (i < lines.length && !closingFence.test(lines[i])) {
+                // Fences nested in list items are indented; remove that indentation from the content
+                content.push(lines[i].startsWith(indent) ? lines[i].substring(indent.length) : lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence
+            if (stripLineNumbers(content).some(line => DIFF_START_PATTERN.test(line))) {
+                blocks.push(content);
+            }
+            continue;
+        }
+
+        if (isUnfencedDiffStart(lines, i)) {
+            const block = [];
+            // Only an unindented fence ends the run; " ```bash" is a context line of a Markdown file
+            while (i < lines.length && !/^(`{3,}|~{3,})/.test(lines[i]) &&
+                (lines[i] === '' || /^[ +\-\\@]/.test(lines[i]) || DIFF_META_PATTERN.test(lines[i]))) {
+                block.push(lines[i]);
+                i++;
+            }
+            while (block.length > 0 && block[block.length - 1].trim() === '') {
+                block.pop();
+            }
+            blocks.push(block);
+            continue;
+        }
+        i++;
+    }
+    return blocks;
+}
+
+/**
+ * Checks whether an unfenced diff starts at line `i`: a git or Index header,
+ * or a `---` line directly followed by a `+++` line.
+ */
+function isUnfencedDiffStart(lines, i) {
+    return /^(diff --git |Index: )/.test(lines[i]) ||
+        (lines[i].startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ '));
+}
+
+/**
+ * Removes line-number prefixes (`12 | `, `12: `, `12. `) if every non-empty line has one.
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function stripLineNumbers(lines) {
+    const numberPrefix = /^\s*\d+(?:\s*[|:]|\.)(?: |$)/;
+    const nonEmpty = lines.filter(line => line.trim() !== '');
+    if (nonEmpty.length === 0 || !nonEmpty.every(line => numberPrefix.test(line))) {
+        return lines;
+    }
+    return lines.map(line => line.replace(numberPrefix, ''));
+}
+
+/**
+ * Rewrites the lines of one diff block into a well-formed unified diff:
+ * context lines missing their leading space get one, blank lines trailing a
+ * hunk are dropped, and every hunk header is regenerated with line counts that
+ * match its body (keeping the header's start lines when they are present).
+ * A hunk whose header states both line counts ends once they are used up, so
+ * text after it (a `- ` bullet list, the `-- ` signature of `git format-patch`)
+ * is dropped; the counts are only recomputed if the hunk's lines go on past them.
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function repairDiffLines(lines) {
+    const output = [];
+    let hunk = null;
+    let nextOldStart = 1;
+    let nextNewStart = 1;
+    let skippingText = false; // After a hunk that ended at its stated line counts
+
+    const closeHunk = () => {
+        if (!hunk) {
+            return;
+        }
+        while (hunk.body.length > 0 && hunk.body[hunk.body.length - 1].fromBlank) {
+            hunk.body.pop();
+        }
+        const body = hunk.body.map(line => line.text);
+        const oldCount = body.filter(line => line[0] === ' ' || line[0] === '-').length;
+        const newCount = body.filter(line => line[0] === ' ' || line[0] === '+').length;
+        if (oldCount === 0 && newCount === 0) {
+            // A hunk without lines would apply as a change that does nothing
+            hunk = null;
+            return;
+        }
+        const oldStart = hunk.oldStart ?? nextOldStart;
+        const newStart = hunk.newStart ?? nextNewStart;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@${hunk.section}`, ...body);
+        nextOldStart = oldStart + oldCount;
+        nextNewStart = newStart + newCount;
+        hunk = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (skippingText && !isHunkBoundary(lines, i)) {
+            continue;
+        }
+        skippingText = false;
+        if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+            closeHunk();
+            output.push(line, lines[i + 1]);
+            nextOldStart = nextNewStart = 1;
+            i++;
+        } else if (line.startsWith('@@')) {
+            closeHunk();
+            const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/.exec(line);
+            hunk = {
+                oldStart: header ? Number(header[1]) : undefined,
+                newStart: header ? Number(header[3]) : undefined,
+                section: header ? header[5] : '',
+                body: [],
+                // Lines the header says are still to come, if it states both counts
+                remaining: header && header[2] !== undefined && header[4] !== undefined
+                    ? { old: Number(header[2]), new: Number(header[4]) }
+                    : null
+            };
+        } else if (hunk && /^(diff --git |Index: |={10,}$)/.test(line)) {
+            // Headers of the next file, including the separator line jsdiff writes before it
+            closeHunk();
+            output.push(line);
+        } else if (hunk) {
+            if (line === '') {
+                hunk.body.push({ text: ' ', fromBlank: true });
+            } else if (/^[ +\-\\]/.test(line)) {
+                hunk.body.push({ text: line, fromBlank: false });
+            } else {
+                hunk.body.push({ text: ' ' + line, fromBlank: false });
+            }
+            const { remaining } = hunk;
+            if (remaining) {
+                const kind = hunk.body[hunk.body.length - 1].text[0];
+                remaining.old -= kind === ' ' || kind === '-' ? 1 : 0;
+                remaining.new -= kind === ' ' || kind === '+' ? 1 : 0;
+                if (remaining.old <= 0 && remaining.new <= 0) {
+                    if (continuesHunk(lines, i + 1)) {
+                        // The stated counts are wrong; count the lines instead
+                        hunk.remaining = null;
+                    } else {
+                        if (i + 1 < lines.length && lines[i + 1].startsWith('\\')) {
+                            hunk.body.push({ text: lines[++i], fromBlank: false });
+                        }
+                        closeHunk();
+                        skippingText = true;
+                    }
+                }
+            }
+        } else {
+            // File metadata before the first hunk (diff --git, index, rename from, ...)
+            output.push(line);
+        }
+    }
+    closeHunk();
+    return output;
+}
+
+/**
+ * Whether line `i` starts a new hunk, file or git section.
+ * @param {string[]} lines
+ * @param {number} i
+ */
+function isHunkBoundary(lines, i) {
+    return /^(@@|diff --git |Index: |={10,}$)/.test(lines[i]) ||
+        (lines[i].startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ '));
+}
+
+/**
+ * Whether the lines from `i` up to the next hunk boundary still look like hunk
+ * content: added lines or indented context lines. Blank lines, `- ` bullets and
+ * other text after a hunk's stated line counts are not.
+ * @param {string[]} lines
+ * @param {number} i
+ */
+function continuesHunk(lines, i) {
+    for (; i < lines.length && !isHunkBoundary(lines, i); i++) {
+        if (lines[i].startsWith('+') || (lines[i].startsWith(' ') && lines[i].trim() !== '')) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Parses pasted text in any supported format into file entries:
+ * unified diffs (possibly embedded in chat output), SEARCH/REPLACE blocks, and,
+ * if neither is present, whole files in fenced code blocks captioned with their path.
+ * @param {string} text
+ * @param {number} [stripLevel] Leading path components to remove from diff paths (see `stripPatchPathPrefix`).
+ */
+function parsePastedChanges(text, stripLevel) {
+    const { entries: searchReplaceEntries, remainingText } = parseSearchReplaceBlocks(text);
+    const diffText = extractPatchText(remainingText);
+    const entries = diffText !== null ? parseMultiFilePatch(diffText, stripLevel) : [];
+    entries.push(...searchReplaceEntries);
+    if (entries.length === 0 && diffText === null) {
+        // Whole-file blocks are only considered on their own; in a paste that also
+        // contains diffs, fenced code is far more likely to be an illustration.
+        entries.push(...parseWholeFileBlocks(text));
+    }
+    return entries;
+}
+
+/**
+ * Inverts a parsed entry so that applying it backs the change out: additions and
+ * removals swap, and so do the old and new paths (a created file is deleted,
+ * a deleted file is re-created, a rename goes back to the old name).
+ * @param {object} entry An entry returned by `parsePastedChanges`.
+ * @returns {object} The reversed entry.
+ */
+function reverseEntry(entry) {
+    if (entry.format === 'whole-file') {
+        throw new Error('Whole-file code blocks cannot be reversed');
+    }
+    if (entry.format === 'search-replace') {
+        if (entry.filePatch.hunks.some(hunk => hunk.newLines === 0)) {
+            // Nothing would be left to search for when putting the removed code back
+            throw new Error('SEARCH/REPLACE blocks that only remove code cannot be reversed');
+        }
+        // Blocks are applied one after another, so undo them in the opposite order
+        const filePatch = Diff.reversePatch(entry.filePatch);
+        filePatch.hunks.reverse();
+        return { ...entry, operation: 'modify', filePatch };
+    }
+
+    const filePatch = Diff.reversePatch(entry.filePatch);
+    switch (entry.operation) {
+        case 'create':
+            return { ...entry, filePatch, operation: 'delete', oldPath: entry.newPath, newPath: undefined };
+        case 'delete':
+            return { ...entry, filePatch, operation: 'create', newPath: entry.oldPath, oldPath: undefined };
+        default:
+            return { ...entry, filePatch, oldPath: entry.newPath, newPath: entry.oldPath };
+    }
+}
+
+const SEARCH_MARKER = /^<{5,9} SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} REPLACE\s*$/;
+
+/**
+ * Reads `<<<<<<< SEARCH / ======= / >>>>>>> REPLACE` blocks. Each block belongs to
+ * the file named on the closest path-like line before it (a caption or the first
+ * line of its fence). Blocks are converted to hunks of removed and added lines;
+ * an empty SEARCH section appends to the file, or creates it if it does not exist.
+ * @param {string} text
+ * @returns {{ entries: object[], remainingText: string }} The entries and the text with the blocks blanked out.
+ */
+function parseSearchReplaceBlocks(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const entriesByPath = new Map();
+    const pathless = [];
+    let currentPath = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!SEARCH_MARKER.test(lines[i])) {
+            const fence = /^\s*(?:`{3,}|~{3,})\s*(.*)$/.exec(lines[i]);
+            currentPath = (fence ? pathFromFenceInfo(fence[1]) : pathFromCaption(lines[i])) || currentPath;
+            continue;
+        }
+
+        const start = i;
+        const search = [];
+        const replace = [];
+        for (i++; i < lines.length && !DIVIDER_MARKER.test(lines[i]); i++) {
+            search.push(lines[i]);
+        }
+        for (i++; i < lines.length && !REPLACE_MARKER.test(lines[i]); i++) {
+            replace.push(lines[i]);
+        }
+        lines.fill('', start, Math.min(i + 1, lines.length));
+        if (!currentPath) {
+            // Reported as a failed entry rather than dropped, so the block is not silently lost
+            pathless.push({
+                format: 'search-replace',
+                operation: 'modify',
+                missingPath: `SEARCH/REPLACE block at line ${start + 1}`,
+                filePatch: { hunks: [] }
+            });
+            continue;
+        }
+
+        if (!entriesByPath.has(currentPath)) {
+            entriesByPath.set(currentPath, {
+                format: 'search-replace',
+                operation: 'write',
+                oldPath: currentPath,
+                newPath: currentPath,
+                filePatch: { oldFileName: currentPath, newFileName: currentPath, hunks: [] }
+            });
+        }
+        const entry = entriesByPath.get(currentPath);
+        entry.filePatch.hunks.push({
+            // The block gives no line number: search from the top, or append when there is nothing to find
+            oldStart: search.length > 0 ? 1 : Number.MAX_SAFE_INTEGER,
+            oldLines: search.length,
+            newStart: 1,
+            newLines: replace.length,
+            lines: [...search.map(line => '-' + line), ...replace.map(line => '+' + line)]
+        });
+        if (search.length > 0) {
+            entry.operation = 'modify';
+        }
+    }
+
+    return { entries: [...entriesByPath.values(), ...pathless], remainingText: lines.join('\n') };
+}
+
+/**
+ * Reads fenced code blocks whose path is given in the fence's info string
+ * (```js src/a.js, ```src/a.js, ```js title="src/a.js") or on the caption line
+ * just before the fence. Blocks containing "..." placeholders are kept but
+ * flagged, since applying a partial snippet as a whole file would destroy code.
+ * @param {string} text
+ */
+function parseWholeFileBlocks(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const entries = [];
+    for (let i = 0; i < lines.length; i++) {
+        const fence = /^(\s*)(`{3,}|~{3,})\s*(.*)$/.exec(lines[i]);
+        if (!fence) {
+            continue;
+        }
+        const [, indent, marker, info] = fence;
+        const closingFence = new RegExp(`^\\s*${marker[0]}{${marker.length},}\\s*$`);
+        const content = [];
+        const start = i;
+        for (i++; i < lines.length && !closingFence.test(lines[i]); i++) {
+            content.push(lines[i].startsWith(indent) ? lines[i].substring(indent.length) : lines[i]);
+        }
+
+        const filePath = pathFromFenceInfo(info) || pathFromCaption(previousNonEmptyLine(lines, start));
+        if (!filePath) {
+            continue;
+        }
+        entries.push({
+            format: 'whole-file',
+            operation: 'write',
+            oldPath: filePath,
+            newPath: filePath,
+            content: content.join('\n') + '\n',
+            isPartialSnippet: content.some(line => PLACEHOLDER_PATTERN.test(line)),
+            filePatch: { oldFileName: filePath, newFileName: filePath, hunks: [] }
+        });
+    }
+    return entries;
+}
+
+const PLACEHOLDER_PATTERN = /^\s*(\/\/|#|\/\*+|\*|<!--|--|;)?\s*(\.\.\.|…)\s*((rest|existing|remaining|other|unchanged|previous)\b.*)?$|(\.\.\.|…)\s*(rest|existing|remaining|unchanged)\b/i;
+const PATH_PATTERN = /^(?:\.\/)?(?:[\w@.-]+\/)*[\w@-][\w@.-]*\.[\w-]+$|^(?:\.\/)?(?:[\w@.-]+\/)+[\w@.-]+$/;
+
+/**
+ * Extracts a file path from a fence info string, if it names one.
+ * @param {string} info
+ */
+function pathFromFenceInfo(info) {
+    const attribute = /(?:title|file|filename|path)=["']?([^"'\s]+)/.exec(info);
+    if (attribute) {
+        return normalizeCaptionPath(attribute[1]);
+    }
+    for (const token of info.split(/[\s:]+/)) {
+        if (PATH_PATTERN.test(token) && !/^\d/.test(token)) {
+            return normalizeCaptionPath(token);
+        }
+    }
+    return null;
+}
+
+/**
+ * Extracts a file path from a caption line such as `src/a.js`, **src/a.js**,
+ * ### src/a.js, File: src/a.js, or a sentence ending in ':' that names exactly one `path`.
+ * @param {string | undefined} line
+ */
+function pathFromCaption(line) {
+    if (!line) {
+        return null;
+    }
+    const cleaned = line.trim()
+        .replace(/^#+\s*/, '')
+        .replace(/^(?:\d+\.\s+)?(?:file(?:name)?|path)\s*:\s*/i, '')
+        .replace(/^[*_`]+|[*_`:]+$/g, '')
+        .trim();
+    if (PATH_PATTERN.test(cleaned)) {
+        return normalizeCaptionPath(cleaned);
+    }
+    if (line.trim().endsWith(':')) {
+        const quoted = [...line.matchAll(/`([^`\s]+)`/g)].map(match => match[1]).filter(token => PATH_PATTERN.test(token));
+        if (quoted.length === 1) {
+            return normalizeCaptionPath(quoted[0]);
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {string} filePath
+ */
+function normalizeCaptionPath(filePath) {
+    return normalizeSeparators(filePath).replace(/^\.\//, '');
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} index
+ */
+function previousNonEmptyLine(lines, index) {
+    for (let i = index - 1; i >= 0; i--) {
+        if (lines[i].trim() !== '') {
+            return lines[i];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Parses a patch into per-file entries and classifies each one as a
+ * modification, creation, deletion or rename.
+ * `Diff.parsePatch` ignores git extended headers (`rename from`, `new file mode`, ...),
+ * so the text is split on `diff --git` lines and those headers are read separately.
+ * @param {string} patchText
+ * @param {number} [stripLevel] Leading path components to remove (see `stripPatchPathPrefix`).
+ * @returns {{ filePatch: object, operation: 'modify' | 'create' | 'delete' | 'rename', oldPath?: string, newPath?: string, missingPath?: string }[]}
+ *     `missingPath` describes an entry whose hunks name no file; preparing it fails.
+ */
+function parseMultiFilePatch(patchText, stripLevel) {
+    const entries = [];
+    for (const section of splitGitSections(patchText)) {
+        const gitHeaders = parseGitExtendedHeaders(section);
+        const filePatches = Diff.parsePatch(section);
+        filePatches.forEach((filePatch, index) => {
+            // Extended headers belong to the first file of a `diff --git` section
+            const entry = classifyFilePatch(filePatch, index === 0 ? gitHeaders : {}, stripLevel);
+            if (entry && index === 0 && gitHeaders.isBinary) {
+                entry.isBinary = true;
+            }
+            if (entry) {
+                entries.push(entry);
+            } else if (filePatch.hunks.length > 0) {
+                // Reported as a failed entry rather than dropped, so its hunks are not silently lost
+                entries.push({ filePatch, operation: 'modify', missingPath: `diff at ${formatHunkHeader(filePatch.hunks[0])}` });
+            }
+        });
+    }
+    return entries;
+}
+
+/**
+ * Splits patch text at each `diff --git` line that follows another file's diff.
+ * Text without such lines is returned as a single section.
+ * @param {string} patchText
+ * @returns {string[]}
+ */
+function splitGitSections(patchText) {
+    const lines = patchText.split('\n');
+    const sections = [];
+    let current = [];
+    for (const line of lines) {
+        if (line.startsWith('diff --git ') && current.some(l => l.startsWith('diff --git ') || l.startsWith('--- '))) {
+            sections.push(current.join('\n'));
+            current = [];
+        }
+        current.push(line);
+    }
+    sections.push(current.join('\n'));
+    return sections;
+}
+
+/**
+ * Reads the git extended header lines that precede the `---`/`+++` lines of a section.
+ * @param {string} sectionText
+ */
+function parseGitExtendedHeaders(sectionText) {
+    const headers = {};
+    for (const rawLine of sectionText.split('\n')) {
+        const line = rawLine.replace(/\r$/, '');
+        if (/^(---|\+\+\+|@@)\s/.test(line)) {
+            break;
+        }
+        let match;
+        if ((match = /^diff --git a\/(.+) b\/(.+)$/.exec(line))) {
+            headers.oldPath = match[1];
+            headers.newPath = match[2];
+        } else if ((match = /^rename from (.+)$/.exec(line))) {
+            headers.renameFrom = match[1];
+        } else if ((match = /^rename to (.+)$/.exec(line))) {
+            headers.renameTo = match[1];
+        } else if ((match = /^similarity index (\d+)%$/.exec(line))) {
+            headers.similarity = Number(match[1]);
+        } else if (line.startsWith('new file mode')) {
+            headers.isNew = true;
+        } else if (line.startsWith('deleted file mode')) {
+            headers.isDeleted = true;
+        } else if (line === 'GIT binary patch' || /^Binary files .* differ$/.test(line)) {
+            headers.isBinary = true;
+        }
+    }
+    return headers;
+}
+
+/**
+ * Determines which file operation a parsed file patch describes.
+ * Returns null when no path can be determined.
+ * @param {object} filePatch A single entry returned by `Diff.parsePatch`.
+ * @param {object} gitHeaders Headers returned by `parseGitExtendedHeaders`.
+ * @param {number} [stripLevel]
+ */
+function classifyFilePatch(filePatch, gitHeaders, stripLevel) {
+    // Paths taken from the git headers are already free of the a/ and b/ prefixes
+    const oldName = filePatch.oldFileName
+        ? stripPatchPathPrefix(filePatch.oldFileName, stripLevel)
+        : (gitHeaders.isNew ? DEV_NULL : gitHeaders.oldPath && normalizeSeparators(gitHeaders.oldPath));
+    const newName = filePatch.newFileName
+        ? stripPatchPathPrefix(filePatch.newFileName, stripLevel)
+        : (gitHeaders.isDeleted ? DEV_NULL : gitHeaders.newPath && normalizeSeparators(gitHeaders.newPath));
+
+    if (gitHeaders.renameFrom && gitHeaders.renameTo) {
+        // git writes rename paths without the a/ and b/ prefixes
+        return {
+            filePatch,
+            operation: 'rename',
+            oldPath: normalizeSeparators(gitHeaders.renameFrom),
+            newPath: normalizeSeparators(gitHeaders.renameTo)
+        };
+    }
+    if (oldName === DEV_NULL && newName && newName !== DEV_NULL) {
+        return { filePatch, operation: 'create', newPath: newName };
+    }
+    if (newName === DEV_NULL && oldName && oldName !== DEV_NULL) {
+        return { filePatch, operation: 'delete', oldPath: oldName };
+    }
+
+    // Determine the target path (prefer new file name)
+    const targetName = newName || oldName;
+    if (!targetName || targetName === DEV_NULL) {
+        return null;
+    }
+    return { filePatch, operation: 'modify', oldPath: targetName, newPath: targetName };
+}
+
+/**
+ * Normalizes separators and removes leading path components. Without a strip level,
+ * the standard `a/` and `b/` prefixes are removed; with one, that many leading
+ * components are removed like `patch -pN` does (the last component is always kept).
+ * @param {string} filePath
+ * @param {number} [stripLevel]
+ */
+function stripPatchPathPrefix(filePath, stripLevel) {
+    filePath = normalizeSeparators(filePath);
+    if (filePath === DEV_NULL) {
+        return filePath;
+    }
+    if (stripLevel === undefined || stripLevel === null) {
+        if (filePath.startsWith('a/')) filePath = filePath.substring(2);
+        if (filePath.startsWith('b/')) filePath = filePath.substring(2);
+        return filePath;
+    }
+    const segments = filePath.split('/');
+    return segments.slice(Math.min(stripLevel, segments.length - 1)).join('/');
+}
+
+/**
+ * @param {string} filePath
+ */
+function normalizeSeparators(filePath) {
+    return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Human-readable path of an entry for summary messages.
+ */
+function describeEntryPath(entry) {
+    if (entry.operation === 'rename') {
+        return `${entry.oldPath} → ${entry.newPath}`;
+    }
+    return entry.newPath || entry.oldPath || entry.missingPath;
+}
+
+/**
+ * @param {string} filePath A path with forward slashes.
+ */
+function isAbsolutePath(filePath) {
+    return /^([a-zA-Z]:)?\//.test(filePath);
+}
+
+/**
+ * @typedef {object} PatchHost Where a patch is applied. Files are identified by
+ *     opaque handles: URIs in the extension, paths in the CLI and the tests.
+ * @property {(filePath: string) => Promise<any>} findExisting The existing file a patch path refers to, or undefined.
+ * @property {(filePath: string) => Promise<any>} resolveExisting Like `findExisting`, but throws a `FileNotFound` error.
+ * @property {(filePath: string, near?: any) => Promise<any>} resolveNew Where a file that does not exist yet should go.
+ * @property {(handle: any) => Promise<boolean>} exists
+ * @property {(handle: any) => Promise<{ text: string }>} read The result is passed on as the change's `file`.
+ */
+
+/**
+ * Reads the target file(s) of an entry and computes the resulting change.
+ * Throws if the patch cannot be applied to the current state of the files.
+ * @param {object} entry
+ * @param {PatchHost} host
+ * @param {PatchOptions} options
+ * @returns {Promise<{ operation: string, target: any, source?: any, file?: object, filePatch: object, originalText: string, patchedText: string, hunkResults: HunkResult[] }>}
+ *     `source` is the file a rename moves away from.
+ */
+async function prepareFileChange(entry, host, options) {
+    const { filePatch } = entry;
+    let operation = entry.operation;
+
+    if (entry.isPartialSnippet) {
+        throw new Error('Code block contains "..." placeholders and looks like a partial snippet');
+    }
+    if (entry.isBinary) {
+        throw new Error('Binary patches are not supported');
+    }
+    if (entry.missingPath) {
+        throw new Error('No file path given');
+    }
+    for (const filePath of [entry.oldPath, entry.newPath]) {
+        if (filePath && !isAbsolutePath(filePath) && leavesRoot(filePath)) {
+            throw outsideRootError(filePath);
+        }
+    }
+    let existing;
+    if (operation === 'write') {
+        // Whole files and append-only SEARCH/REPLACE blocks create the file if it does not exist yet.
+        // Only the exact path counts: a file found by its name elsewhere must not be overwritten.
+        const target = await host.resolveNew(entry.newPath);
+        existing = await host.exists(target) ? target : undefined;
+        operation = existing ? 'modify' : 'create';
+    }
+
+    switch (operation) {
+        case 'create': {
+            if (options.fileCreation === 'never') {
+                throw new Error('Creating new files is disabled');
+            }
+            const target = await host.resolveNew(entry.newPath);
+            if (await host.exists(target)) {
+                throw new Error('File already exists');
+            }
+            const result = applyEntry(entry, '', options);
+            if (result.text === false) {
+                throw new Error('Invalid patch for new file');
+            }
+            checkTextSize(result.text, options.maxFileSize);
+            return { operation, target, filePatch, originalText: '', patchedText: result.text, hunkResults: result.hunks };
+        }
+        case 'delete': {
+            const target = await host.resolveExisting(entry.oldPath);
+            const file = await readTextFile(host, target, options);
+            // Only delete files whose content matches what the patch removes.
+            // applyHunks keeps a byte order mark, so a fully removed file can leave just that
+            const result = applyEntry(entry, file.text, options);
+            if (filePatch.hunks.length > 0 && (result.text === false || result.text.replace(/^\uFEFF/, '') !== '')) {
+                throw new Error('File content does not match the deletion patch');
+            }
+            return { operation, target, file, filePatch, originalText: file.text, patchedText: '', hunkResults: result.hunks };
+        }
+        case 'rename': {
+            const source = await host.resolveExisting(entry.oldPath);
+            const target = await host.resolveNew(entry.newPath, source);
+            const file = await readTextFile(host, source, options);
+            if (await host.exists(target)) {
+                throw new Error('Rename target already exists');
+            }
+            const result = applyEntry(entry, file.text, options);
+            if (result.text === false) {
+                throw hunkMismatchError(result.hunks, source);
+            }
+            return { operation, target, source, file, filePatch, originalText: file.text, patchedText: result.text, hunkResults: result.hunks };
+        }
+        default: {
+            if (entry.operation === 'modify' && filePatch.hunks.length === 0) {
+                throw new Error('The diff contains no changes for this file');
+            }
+            const target = existing || await host.resolveExisting(entry.newPath);
+            const file = await readTextFile(host, target, options);
+            const result = applyEntry(entry, file.text, options);
+            if (result.text === false) {
+                throw hunkMismatchError(result.hunks, target);
+            }
+            return { operation, target, file, filePatch, originalText: file.text, patchedText: result.text, hunkResults: result.hunks };
+        }
+    }
+}
+
+/**
+ * Reads a file through the host, refusing binary files and files over the size limit.
+ * @param {PatchHost} host
+ * @param {any} handle
+ * @param {PatchOptions} options
+ */
+async function readTextFile(host, handle, options) {
+    const file = await host.read(handle);
+    if (looksBinary(file.text)) {
+        throw binaryFileError();
+    }
+    checkTextSize(file.text, options.maxFileSize);
+    return file;
+}
+
+/**
+ * Checks for NUL characters near the start, like git does to detect binary files.
+ * @param {string | Uint8Array} content Text or raw bytes.
+ */
+function looksBinary(content) {
+    return typeof content === 'string'
+        ? content.slice(0, 8000).includes('\0')
+        : content.subarray(0, 8000).includes(0);
+}
+
+function binaryFileError() {
+    return new Error('Binary file, only text files can be patched');
+}
+
+/**
+ * @param {string} text
+ * @param {number} [maxFileSize] In characters; 0 or undefined for no limit.
+ */
+function checkTextSize(text, maxFileSize) {
+    if (maxFileSize && text.length > maxFileSize) {
+        throw fileTooLargeError(text.length, maxFileSize);
+    }
+}
+
+/**
+ * @param {number} size
+ * @param {number} maxFileSize
+ */
+function fileTooLargeError(size, maxFileSize) {
+    return new Error(`File too large (${Math.ceil(size / 1024)} KB, the limit is ${Math.floor(maxFileSize / 1024)} KB)`);
+}
+
+/**
+ * Throws if a patch text is longer than the limit.
+ * @param {string} patchText
+ * @param {number} [maxPatchSize] In characters; 0 or undefined for no limit.
+ */
+function checkPatchSize(patchText, maxPatchSize) {
+    if (maxPatchSize && patchText.length > maxPatchSize) {
+        throw new Error(`The patch is too large (${Math.ceil(patchText.length / 1024)} KB, the limit is ${Math.floor(maxPatchSize / 1024)} KB)`);
+    }
+}
+
+/**
+ * Whether a relative path climbs above the directory it is relative to (`../x`, `a/../../x`).
+ * @param {string} filePath A path with forward slashes.
+ */
+function leavesRoot(filePath) {
+    let depth = 0;
+    for (const segment of filePath.split('/')) {
+        if (segment === '..') {
+            depth--;
+            if (depth < 0) {
+                return true;
+            }
+        } else if (segment && segment !== '.') {
+            depth++;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {string} filePath
+ */
+function outsideRootError(filePath) {
+    const error = new Error(`Path leaves the workspace: ${filePath}`);
+    error.code = 'OutsideWorkspace';
+    return error;
+}
+
+/**
+ * Converts a glob to a regular expression over paths with forward slashes.
+ * Supports `*`, `?`, `**` (any number of folders, including none) and `{a,b}`.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            braces++;
+            source += '(?:';
+        } else if (char === '}' && braces > 0) {
+            braces--;
+            source += ')';
+        } else if (char === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a path or one of its folders matches any of the globs, so that a
+ * folder glob also covers the files inside it, like in `files.exclude`.
+ * @param {string} filePath A relative path with forward slashes.
+ * @param {string[]} globs
+ */
+function matchesGlob(filePath, globs) {
+    const patterns = globs.map(globToRegExp);
+    const segments = filePath.split('/');
+    return segments.some((_, index) => {
+        const prefix = segments.slice(0, index + 1).join('/');
+        return patterns.some(pattern => pattern.test(prefix));
+    });
+}
+
+/**
+ * @param {string} filePath
+ */
+function fileNotFoundError(filePath) {
+    const error = new Error(`File not found in workspace: ${filePath}`);
+    error.code = 'FileNotFound';
+    return error;
+}
+
+/**
+ * Picks the candidates whose paths share the longest trailing run of segments
+ * with `filePath`, so `util.js`, `lib/util.js` and `/abs/path/src/lib/util.js`
+ * all find `src/lib/util.js`.
+ * @param {string} filePath
+ * @param {string[]} candidatePaths Relative paths with forward slashes.
+ * @returns {string[]}
+ */
+function matchBySuffix(filePath, candidatePaths) {
+    const segments = filePath.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+    let bestScore = 0;
+    let best = [];
+    for (const candidate of candidatePaths) {
+        const candidateSegments = candidate.split('/');
+        let score = 0;
+        while (score < segments.length && score < candidateSegments.length &&
+            segments[segments.length - 1 - score] === candidateSegments[candidateSegments.length - 1 - score]) {
+            score++;
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            best = [candidate];
+        } else if (score === bestScore && score > 0) {
+            best.push(candidate);
+        }
+    }
+    return best;
+}
+
+/**
+ * @typedef {object} FileSystem Files addressed by paths with forward slashes,
+ *     relative to the root the patch is applied in.
+ * @property {(filePath: string) => Promise<boolean>} exists
+ * @property {(filePath: string) => Promise<string>} readFile
+ * @property {(filePath: string, text: string) => Promise<void>} writeFile Creates missing parent directories.
+ * @property {(filePath: string) => Promise<void>} deleteFile
+ * @property {() => Promise<string[]>} [listFiles] Enables lookup of incomplete paths by their suffix.
+ */
+
+/**
+ * Creates a patch host whose handles are the paths of a file system.
+ * Paths that do not exist are looked up by suffix; ambiguous ones fail.
+ * @param {FileSystem} fileSystem
+ * @returns {PatchHost}
+ */
+function createFileSystemHost(fileSystem) {
+    async function findExisting(filePath) {
+        if (await fileSystem.exists(filePath)) {
+            return filePath;
+        }
+        if (!fileSystem.listFiles) {
+            return undefined;
+        }
+        const candidates = matchBySuffix(filePath, await fileSystem.listFiles());
+        if (candidates.length > 1) {
+            throw new Error(`Ambiguous path, ${candidates.length} files match`);
+        }
+        return candidates[0];
+    }
+    return {
+        findExisting,
+        async resolveExisting(filePath) {
+            const found = await findExisting(filePath);
+            if (!found) {
+                throw fileNotFoundError(filePath);
+            }
+            return found;
+        },
+        resolveNew: async filePath => filePath,
+        exists: filePath => fileSystem.exists(filePath),
+        read: async filePath => ({ text: await fileSystem.readFile(filePath) })
+    };
+}
+
+/**
+ * Applies a patch to a file system: the same parsing and matching as the
+ * extension, with every file that can be patched written and the others reported.
+ * @param {string} patchText
+ * @param {FileSystem} fileSystem
+ * @param {PatchOptions & { dryRun?: boolean }} [options] With `dryRun`, nothing is written.
+ * @returns {Promise<{ displayPath: string, operation: string, applied: boolean, error?: string, filePatch: object, hunkResults: HunkResult[] }[]>}
+ *     One result per file entry of the patch; empty if the text contains no changes.
+ */
+async function applyPatchToFileSystem(patchText, fileSystem, options = {}) {
+    options = { ...DEFAULT_PATCH_OPTIONS, ...options };
+    checkPatchSize(patchText, options.maxPatchSize);
+    const host = createFileSystemHost(fileSystem);
+    const results = [];
+    const changes = [];
+    for (const parsedEntry of parsePastedChanges(patchText, options.stripLevel)) {
+        let entry = parsedEntry;
+        let displayPath = describeEntryPath(entry);
+        try {
+            if (options.reverse) {
+                entry = reverseEntry(parsedEntry);
+                displayPath = describeEntryPath(entry);
+            }
+            const change = await prepareFileChange(entry, host, options);
+            changes.push(change);
+            results.push({ displayPath, operation: change.operation, applied: true, filePatch: entry.filePatch, hunkResults: change.hunkResults });
+        } catch (error) {
+            results.push({
+                displayPath,
+                operation: entry.operation,
+                applied: false,
+                error: error.message,
+                filePatch: entry.filePatch,
+                hunkResults: error.hunkResults || []
+            });
+        }
+    }
+    if (!options.dryRun) {
+        for (const change of changes) {
+            if (change.operation !== 'delete') {
+                await fileSystem.writeFile(change.target, change.patchedText);
+            }
+            if (change.operation === 'delete' || change.operation === 'rename') {
+                await fileSystem.deleteFile(change.source || change.target);
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Keeps the files changed by a series of patches in memory, so each patch can
+ * be prepared against the state the previous ones produce. The overlay is a
+ * `PatchHost` in place of `host`: paths resolve to files created earlier in the
+ * series, deleted files are gone, and files the series has not touched are read
+ * through `host`. Handles are told apart by their string form.
+ * @param {PatchHost} host
+ */
+function createPatchOverlay(host) {
+    /** Handle string → the file's current text, or null once it has been deleted. */
+    const texts = new Map();
+
+    async function findExisting(filePath) {
+        // A file created earlier in the series is where a new file of this path would go
+        const newHandle = await host.resolveNew(filePath);
+        if (typeof texts.get(String(newHandle)) === 'string') {
+            return newHandle;
+        }
+        const handle = await host.findExisting(filePath);
+        return handle && texts.get(String(handle)) === null ? undefined : handle;
+    }
+
+    return {
+        findExisting,
+        async resolveExisting(filePath) {
+            const handle = await findExisting(filePath);
+            if (!handle) {
+                throw fileNotFoundError(filePath);
+            }
+            return handle;
+        },
+        resolveNew: host.resolveNew,
+        async exists(handle) {
+            const key = String(handle);
+            return texts.has(key) ? texts.get(key) !== null : host.exists(handle);
+        },
+        async read(handle) {
+            const key = String(handle);
+            return texts.has(key) ? { text: texts.get(key) } : host.read(handle);
+        },
+        /**
+         * Makes a prepared change the state later patches are checked against.
+         * @param {object} change A change returned by `prepareFileChange`.
+         */
+        record(change) {
+            if (change.source) {
+                texts.set(String(change.source), null);
+            }
+            texts.set(String(change.target), change.operation === 'delete' ? null : change.patchedText);
+        }
+    };
+}
+
+/**
+ * Combines the changes of several patches applied one after another into one
+ * change per file, from the state before the series to the final one. A file
+ * created and deleted again drops out; renames are kept when the file was not
+ * otherwise moved.
+ * @param {object[]} changes Changes in application order, as prepared against a `createPatchOverlay`.
+ * @returns {object[]} Changes in the form `prepareFileChange` returns.
+ */
+function combineQueuedChanges(changes) {
+    const files = new Map();
+    // The first change of a file that existed before the series carries its `file` and original text
+    const fileFor = (handle, change, existedBefore) => {
+        const key = String(handle);
+        if (!files.has(key)) {
+            files.set(key, {
+                handle,
+                base: existedBefore ? { file: change.file, text: change.originalText } : null,
+                text: null,
+                hunkResults: []
+            });
+        }
+        return files.get(key);
+    };
+
+    for (const change of changes) {
+        let file;
+        if (change.operation === 'rename') {
+            const source = fileFor(change.source, change, true);
+            source.text = null;
+            file = fileFor(change.target, change, false);
+            file.renamedFrom = source;
+        } else {
+            file = fileFor(change.target, change, change.operation !== 'create');
+        }
+        file.text = change.operation === 'delete' ? null : change.patchedText;
+        file.filePatch = change.filePatch;
+        file.hunkResults.push(...change.hunkResults);
+    }
+
+    const combined = [];
+    const renamed = new Set();
+    for (const file of files.values()) {
+        const source = file.renamedFrom;
+        if (!file.base && file.text !== null && source && source.base && source.text === null && !renamed.has(source)) {
+            renamed.add(source);
+            combined.push({
+                operation: 'rename',
+                target: file.handle,
+                source: source.handle,
+                file: source.base.file,
+                originalText: source.base.text,
+                patchedText: file.text,
+                filePatch: file.filePatch,
+                hunkResults: file.hunkResults
+            });
+        }
+    }
+    for (const file of files.values()) {
+        const change = { target: file.handle, filePatch: file.filePatch, hunkResults: file.hunkResults };
+        if (file.base && file.text === null && !renamed.has(file)) {
+            combined.push({ ...change, operation: 'delete', file: file.base.file, originalText: file.base.text, patchedText: '' });
+        } else if (file.base && file.text !== null && file.text !== file.base.text) {
+            combined.push({ ...change, operation: 'modify', file: file.base.file, originalText: file.base.text, patchedText: file.text });
+        } else if (!file.base && file.text !== null && !combined.some(other => other.target === file.handle)) {
+            combined.push({ ...change, operation: 'create', originalText: '', patchedText: file.text });
+        }
+    }
+    return combined;
+}
+
+/**
+ * Writes changes as one git-style patch, e.g. the combined changes of a series
+ * so that it can be re-applied like any single patch.
+ * @param {object[]} changes Changes in the form `prepareFileChange` returns.
+ * @param {(handle: any) => string} [relativePath] The patch path of a handle; handles are paths by default.
+ */
+function formatNetPatch(changes, relativePath = String) {
+    return changes.map(change => {
+        const newPath = relativePath(change.target);
+        const oldPath = change.source ? relativePath(change.source) : newPath;
+        const header = change.operation === 'rename' ? `diff --git a/${oldPath} b/${newPath}\nrename from ${oldPath}\nrename to ${newPath}\n` : '';
+        return header + Diff.createTwoFilesPatch(
+            change.operation === 'create' ? DEV_NULL : `a/${oldPath}`,
+            change.operation === 'delete' ? DEV_NULL : `b/${newPath}`,
+            change.originalText,
+            change.patchedText
+        );
+    }).join('');
+}
+
+/**
+ * Computes the new text of a file entry in whatever format it was given.
+ * @param {object} entry
+ * @param {string} originalText
+ * @param {PatchOptions} options
+ * @returns {{ text: string | false, hunks: HunkResult[] }}
+ */
+function applyEntry(entry, originalText, options) {
+    switch (entry.format) {
+        case 'whole-file':
+            return { text: matchTextFormat(entry.content, originalText), hunks: [] };
+        case 'search-replace':
+            return applyHunksIndependently(originalText, entry.filePatch, options);
+        default:
+            return applyHunks(originalText, entry.filePatch, options);
+    }
+}
+
+/**
+ * Applies hunks one after another, each searched for in the whole file.
+ * Used for SEARCH/REPLACE blocks, which carry no line numbers and need not be in file order.
+ * @param {string} originalText
+ * @param {object} filePatch
+ * @param {PatchOptions} options
+ * @returns {{ text: string | false, hunks: HunkResult[] }}
+ */
+function applyHunksIndependently(originalText, filePatch, options) {
+    let text = originalText;
+    const hunkResults = filePatch.hunks.map((hunk, index) => {
+        const result = applyHunks(text, { hunks: [hunk] }, { ...options, allowPartial: false });
+        if (result.text !== false) {
+            text = result.text;
+        }
+        // Without line numbers in the block, an offset from line 1 means nothing
+        return { ...result.hunks[0], index, offset: 0 };
+    });
+    const rejected = hunkResults.filter(result => !result.applied).length;
+    if (rejected > 0 && !(options.allowPartial && rejected < hunkResults.length)) {
+        return { text: false, hunks: hunkResults };
+    }
+    return { text, hunks: hunkResults };
+}
+
+/**
+ * Applies the hunks of a file patch to text. Unlike `Diff.applyPatch`, each hunk's
+ * old lines are searched for anywhere in the file (nearest to the header's line
+ * number first), optionally tolerating whitespace drift and up to `fuzzFactor`
+ * mismatched outer context lines on each side of the change.
+ * The result keeps the original's byte order mark and line endings: unchanged lines
+ * keep their own, added lines get the file's predominant one.
+ * `text` is false if any hunk could not be placed,
+ * unless `allowPartial` is set and at least one hunk was applied; rejected hunks
+ * then report the most similar location as a starting point for fixing them by hand.
+ * @param {string} originalText
+ * @param {object} filePatch A single entry returned by `Diff.parsePatch`.
+ * @param {PatchOptions} [options]
+ * @returns {{ text: string | false, hunks: HunkResult[] }}
+ */
+function applyHunks(originalText, filePatch, options = {}) {
+    const { bom, lines, lineEols, eol } = splitTextLines(originalText);
+    // The element after the last newline is empty; an empty file counts as ending in one
+    let hasFinalNewline = lines[lines.length - 1] === '';
+    if (hasFinalNewline) {
+        lines.pop();
+        lineEols.pop();
+    }
+
+    const hunkResults = [];
+    const output = [];
+    const appliedSpans = []; // Where applied hunks sit in the original, to map lines into the output
+    const rejected = [];
+    let cursor = 0; // First original line not yet copied to the output
+    let offset = 0; // Offset of the previous hunk, applied to the next expected position
+
+    filePatch.hunks.forEach((hunk, index) => {
+        const parsed = parseHunkLines(hunk);
+        const expectedLine = hunk.oldStart;
+        const expected = Math.max(cursor, Math.min(expectedLine - 1 + offset, lines.length));
+        const placement = locateHunk(lines, parsed, expected, cursor, options);
+        if (!placement) {
+            const result = { index, applied: false, expectedLine, oldLineCount: parsed.oldLines.length };
+            rejected.push({ result, parsed, expected: Math.min(expectedLine - 1 + offset, lines.length) });
+            hunkResults.push(result);
+            return;
+        }
+
+        const { position, fuzz, whitespace } = placement;
+        output.push(...originalLines(cursor, position));
+        const reindent = whitespace ? indentationAdjuster(lines, parsed.oldLines, position) : line => line;
+        let oldIndex = 0;
+        for (const line of parsed.lines) {
+            if (line.kind === ' ') {
+                output.push(...originalLines(position + oldIndex, position + oldIndex + 1)); // Keep the file's version of context lines
+                oldIndex++;
+            } else if (line.kind === '-') {
+                oldIndex++;
+            } else {
+                output.push({ text: reindent(line.text), eol });
+            }
+        }
+        cursor = position + parsed.oldLines.length;
+        offset = position - (expectedLine - 1);
+        appliedSpans.push({ end: cursor, delta: countKind(parsed.lines, '+') - countKind(parsed.lines, '-') });
+        if (cursor === lines.length) {
+            if (parsed.newNoEol) {
+                hasFinalNewline = false;
+            } else if (parsed.oldNoEol) {
+                hasFinalNewline = true;
+            }
+        }
+        hunkResults.push({ index, applied: true, expectedLine, line: position + 1, offset, fuzz, whitespace });
+    });
+
+    const appliedCount = hunkResults.length - rejected.length;
+    const keepsOriginal = rejected.length > 0 && !(options.allowPartial && appliedCount > 0);
+    for (const { result, parsed, expected } of rejected) {
+        const candidate = findNearestCandidate(lines, parsed.oldLines, expected);
+        if (candidate) {
+            // Candidate lines refer to the patched text, or to the original when nothing is written
+            const delta = keepsOriginal ? 0 : appliedSpans
+                .filter(span => span.end <= candidate.position)
+                .reduce((sum, span) => sum + span.delta, 0);
+            result.candidateLine = candidate.position + delta + 1;
+            result.candidateMatches = candidate.matches;
+        }
+    }
+    if (keepsOriginal) {
+        return { text: false, hunks: hunkResults };
+    }
+    output.push(...originalLines(cursor, lines.length));
+    const text = bom + output
+        .map((line, index) => line.text + (index < output.length - 1 || hasFinalNewline ? line.eol || eol : ''))
+        .join('');
+    return { text, hunks: hunkResults };
+
+    /**
+     * Original lines from `start` up to `end` as output lines with their own line endings.
+     * The last line of a file without a final newline has none and gets the predominant one if more follows.
+     */
+    function originalLines(start, end) {
+        return lines.slice(start, end).map((text, index) => ({ text, eol: lineEols[start + index] }));
+    }
+}
+
+/**
+ * Splits text into lines, remembering each line's ending and the byte order mark.
+ * @param {string} text
+ * @returns {{ bom: string, lines: string[], lineEols: string[], eol: string }} `lines` and
+ *     `lineEols` are parallel; the last line's ending is empty. `eol` is the predominant ending, LF if there is none.
+ */
+function splitTextLines(text) {
+    const bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+    const lines = text.substring(bom.length).split('\n');
+    const lineEols = lines.map(() => '\n');
+    let crlfCount = 0;
+    lines.forEach((line, index) => {
+        if (line.endsWith('\r') && index < lines.length - 1) {
+            lines[index] = line.slice(0, -1);
+            lineEols[index] = '\r\n';
+            crlfCount++;
+        }
+    });
+    lineEols[lines.length - 1] = '';
+    const eol = crlfCount > (lines.length - 1) / 2 ? '\r\n' : '\n';
+    return { bom, lines, lineEols, eol };
+}
+
+/**
+ * Gives replacement content for a file the byte order mark and predominant line ending of its current text.
+ * @param {string} content Text with LF line endings, e.g. a whole-file code block.
+ * @param {string} originalText
+ */
+function matchTextFormat(content, originalText) {
+    const { bom, eol } = splitTextLines(originalText);
+    return bom + (eol === '\n' ? content : content.replace(/\r?\n/g, eol));
+}
+
+/**
+ * Splits a parsed hunk into typed lines and reads its `\ No newline at end of file` markers.
+ * @param {{ lines: string[] }} hunk
+ */
+function parseHunkLines(hunk) {
+    const lines = [];
+    let oldNoEol = false;
+    let newNoEol = false;
+    for (const rawLine of hunk.lines) {
+        const kind = rawLine.length > 0 ? rawLine[0] : ' ';
+        if (kind === '\\') {
+            // The marker refers to the line before it
+            const previous = lines[lines.length - 1];
+            if (previous && previous.kind !== '+') oldNoEol = true;
+            if (previous && previous.kind !== '-') newNoEol = true;
+            continue;
+        }
+        lines.push({ kind, text: rawLine.substring(1).replace(/\r$/, '') });
+    }
+    const oldLines = lines.filter(line => line.kind !== '+');
+    // Context lines before the first and after the last change, the ones fuzz may ignore
+    const changes = lines.map((line, index) => (line.kind === ' ' ? -1 : index)).filter(index => index !== -1);
+    const leadingContext = changes.length > 0 ? changes[0] : lines.length;
+    const trailingContext = changes.length > 0 ? lines.length - 1 - changes[changes.length - 1] : 0;
+    return { lines, oldLines, oldNoEol, newNoEol, leadingContext, trailingContext };
+}
+
+/**
+ * Finds where a hunk's old lines occur in the file. Stricter matches are tried
+ * first; within each level the position closest to `expected` wins.
+ * @param {string[]} lines File lines.
+ * @param {ReturnType<typeof parseHunkLines>} parsed The hunk.
+ * @param {number} expected Zero-based position suggested by the hunk header.
+ * @param {number} minPosition Hunks must not overlap the previous one.
+ * @param {PatchOptions} options
+ * @returns {{ position: number, fuzz: number, whitespace: boolean } | null}
+ */
+function locateHunk(lines, parsed, expected, minPosition, options) {
+    const { oldLines } = parsed;
+    const maxFuzz = Math.max(0, Math.min(options.fuzzFactor || 0, Math.max(parsed.leadingContext, parsed.trailingContext) - 1));
+    const whitespaceModes = options.ignoreWhitespace ? [false, true] : [false];
+    const maxPosition = lines.length - oldLines.length;
+
+    for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+        for (const whitespace of whitespaceModes) {
+            for (let distance = 0; expected + distance <= maxPosition || expected - distance >= minPosition; distance++) {
+                for (const position of distance === 0 ? [expected] : [expected + distance, expected - distance]) {
+                    if (position >= minPosition && position <= maxPosition &&
+                        hunkMatchesAt(lines, parsed, position, fuzz, whitespace)) {
+                        return { position, fuzz, whitespace };
+                    }
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether the hunk's old lines match the file at `position`. Like `patch`,
+ * fuzz only lets the outermost `fuzz` context lines before and after the change
+ * differ. The context line next to the change must match on each side, and more
+ * context lines must match than differ; removed lines must always match.
+ */
+function hunkMatchesAt(lines, parsed, position, fuzz, whitespace) {
+    const { oldLines } = parsed;
+    const ignoredLeading = Math.min(fuzz, Math.max(0, parsed.leadingContext - 1));
+    const ignoredTrailing = Math.min(fuzz, Math.max(0, parsed.trailingContext - 1));
+    let mismatches = 0;
+    let matchingContext = 0;
+    for (let i = 0; i < oldLines.length; i++) {
+        if (linesEqual(lines[position + i], oldLines[i].text, whitespace)) {
+            matchingContext += oldLines[i].kind === ' ' ? 1 : 0;
+        } else if (i < ignoredLeading || i >= oldLines.length - ignoredTrailing) {
+            mismatches++;
+        } else {
+            return false;
+        }
+    }
+    return mismatches === 0 || mismatches < matchingContext;
+}
+
+/**
+ * @param {string} fileLine
+ * @param {string} patchLine
+ * @param {boolean} ignoreWhitespace
+ */
+function linesEqual(fileLine, patchLine, ignoreWhitespace) {
+    if (fileLine === patchLine) {
+        return true;
+    }
+    return ignoreWhitespace && normalizeWhitespace(fileLine) === normalizeWhitespace(patchLine);
+}
+
+/**
+ * @param {string} line
+ */
+function normalizeWhitespace(line) {
+    return line.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * When a hunk only matched with whitespace tolerance, added lines are re-indented
+ * by the difference between the file's and the patch's indentation of the first
+ * matching non-blank line.
+ * @returns {(line: string) => string}
+ */
+function indentationAdjuster(lines, oldLines, position) {
+    const leadingWhitespace = line => /^\s*/.exec(line)[0];
+    for (let i = 0; i < oldLines.length; i++) {
+        const fileLine = lines[position + i];
+        if (fileLine.trim() !== '' && normalizeWhitespace(fileLine) === normalizeWhitespace(oldLines[i].text)) {
+            const fileIndent = leadingWhitespace(fileLine);
+            const patchIndent = leadingWhitespace(oldLines[i].text);
+            if (fileIndent === patchIndent) {
+                break;
+            }
+            return line => line.startsWith(patchIndent) && line.trim() !== ''
+                ? fileIndent + line.substring(patchIndent.length)
+                : line;
+        }
+    }
+    return line => line;
+}
+
+/**
+ * Creates the error thrown when the hunks of a file cannot be placed.
+ * The hunk results are attached so the rejects report can list them, and the
+ * file so the rejected hunks can be marked in it.
+ * @param {HunkResult[]} hunkResults
+ * @param {any} [target] The host's handle of the file.
+ */
+function hunkMismatchError(hunkResults, target) {
+    const failed = hunkResults.filter(result => !result.applied);
+    const list = failed.map(result => `#${result.index + 1} (line ${result.expectedLine})`).join(', ');
+    const error = new Error(failed.length > 0 ? `Context mismatch in hunk ${list}` : 'Context mismatch or invalid patch for file');
+    error.hunkResults = hunkResults;
+    error.target = target;
+    return error;
+}
+
+/**
+ * @param {{ kind: string }[]} lines
+ * @param {string} kind
+ */
+function countKind(lines, kind) {
+    return lines.filter(line => line.kind === kind).length;
+}
+
+/**
+ * Finds the location most similar to a hunk's old lines, ignoring whitespace.
+ * Ties are broken by distance to the expected position. Returns null if no line is similar.
+ * @param {string[]} lines
+ * @param {{ text: string }[]} oldLines
+ * @param {number} expected
+ * @returns {{ position: number, matches: number } | null}
+ */
+function findNearestCandidate(lines, oldLines, expected) {
+    let best = null;
+    const lastPosition = Math.max(0, lines.length - oldLines.length);
+    for (let position = 0; position <= lastPosition && oldLines.length > 0; position++) {
+        let matches = 0;
+        for (let i = 0; i < oldLines.length && position + i < lines.length; i++) {
+            if (linesEqual(lines[position + i], oldLines[i].text, true)) {
+                matches++;
+            }
+        }
+        const isBetter = !best || matches > best.matches ||
+            (matches === best.matches && Math.abs(position - expected) < Math.abs(best.position - expected));
+        if (matches > 0 && isBetter) {
+            best = { position, matches };
+        }
+    }
+    return best;
+}
+
+/**
+ * Counts the lines a file change adds and removes. Uses the computed change when
+ * there is one (whole-file blocks carry no hunks), otherwise the patch itself.
+ * @param {object} entry
+ * @param {object} [change] The result of `prepareFileChange`.
+ * @returns {{additions: number, deletions: number}}
+ */
+function countChangedLines(entry, change) {
+    let additions = 0;
+    let deletions = 0;
+    if (change) {
+        for (const part of Diff.diffLines(change.originalText, change.patchedText)) {
+            if (part.added) {
+                additions += part.count;
+            } else if (part.removed) {
+                deletions += part.count;
+            }
+        }
+    } else {
+        for (const hunk of entry.filePatch.hunks) {
+            additions += hunk.lines.filter(line => line.startsWith('+')).length;
+            deletions += hunk.lines.filter(line => line.startsWith('-')).length;
+        }
+    }
+    return { additions, deletions };
+}
+
+/**
+ * Describes hunks that were not applied exactly where their header said,
+ * one line per hunk, for the summary details.
+ * @param {HunkResult[]} hunkResults
+ * @returns {string[]}
+ */
+function describeAdjustedHunks(hunkResults) {
+    return (hunkResults || [])
+        .filter(result => result.applied && hunkAdjustmentNotes(result).length > 0)
+        .map(result => `    ${describeHunkResult(result)}`);
+}
+
+/**
+ * Lists how an applied hunk deviated from the patch: offset, fuzz and whitespace tolerance.
+ * @param {HunkResult} result
+ * @returns {string[]}
+ */
+function hunkAdjustmentNotes(result) {
+    const notes = [];
+    if (result.offset !== 0) {
+        notes.push(`offset ${result.offset > 0 ? '+' : ''}${result.offset} line(s)`);
+    }
+    if (result.fuzz > 0) {
+        notes.push(`fuzz ${result.fuzz}`);
+    }
+    if (result.whitespace) {
+        notes.push('ignoring whitespace');
+    }
+    return notes;
+}
+
+/**
+ * @param {HunkResult} result
+ * @returns {string}
+ */
+function describeHunkResult(result) {
+    if (result.applied) {
+        const notes = hunkAdjustmentNotes(result);
+        return `Hunk #${result.index + 1} applied at line ${result.line}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}.`;
+    }
+    const location = result.candidateLine
+        ? `nearest candidate at line ${result.candidateLine} (${result.candidateMatches}/${result.oldLineCount} lines similar)`
+        : 'no similar location found';
+    return `Hunk #${result.index + 1} rejected: expected at line ${result.expectedLine}; ${location}.`;
+}
+
+/**
+ * Formats rejected hunks like a `.rej` file. Each file section starts with an
+ * `Index:` line so the report can be edited and pasted back as a patch.
+ * @param {{ displayPath: string, filePatch: object, hunkResults: HunkResult[] }[]} rejects
+ * @returns {string}
+ */
+function formatRejectsReport(rejects) {
+    const sections = rejects.map(({ displayPath, filePatch, hunkResults }) => {
+        const failed = hunkResults.filter(result => !result.applied);
+        const lines = [
+            `Index: ${displayPath}`,
+            '===================================================================',
+            `# ${failed.length} of ${hunkResults.length} hunk(s) rejected`
+        ];
+        for (const result of failed) {
+            const location = result.candidateLine
+                ? `nearest candidate at line ${result.candidateLine} (${result.candidateMatches}/${result.oldLineCount} lines similar)`
+                : 'no similar location found';
+            lines.push(`# Hunk #${result.index + 1}: expected at line ${result.expectedLine}; ${location}`);
+        }
+        lines.push(`--- ${filePatch.oldFileName || displayPath}`, `+++ ${filePatch.newFileName || displayPath}`);
+        for (const result of failed) {
+            const hunk = filePatch.hunks[result.index];
+            lines.push(formatHunkHeader(hunk), ...hunk.lines);
+        }
+        return lines.join('\n');
+    });
+    return `# Rejected hunks: fix them by hand, or edit this report and apply it again as a patch.\n\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * @param {{ oldStart: number, oldLines: number, newStart: number, newLines: number }} hunk
+ */
+function formatHunkHeader(hunk) {
+    // Diff.parsePatch adds one to the start of empty ranges; undo that for the header
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    return `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`;
+}
+
+/**
+ * Reads the patch of an `/open?patch=<URL-encoded patch>` link from its query.
+ * The query must already be percent-decoded (like `vscode.Uri.query`), so it is not
+ * decoded again: `+` stays a plus sign, and `&` or `=` in the patch do not split it.
+ * The patch is the link's only parameter and runs to the end of the query.
+ * @param {string} query
+ * @returns {string | null}
+ */
+function patchFromLinkQuery(query) {
+    const match = /^patch=([\s\S]*)$/.exec(query);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    DEV_NULL,
+    DEFAULT_PATCH_OPTIONS,
+    extractPatchText,
+    parsePastedChanges,
+    parseMultiFilePatch,
+    reverseEntry,
+    stripPatchPathPrefix,
+    normalizeSeparators,
+    describeEntryPath,
+    isAbsolutePath,
+    matchBySuffix,
+    matchesGlob,
+    looksBinary,
+    binaryFileError,
+    fileTooLargeError,
+    checkPatchSize,
+    outsideRootError,
+    fileNotFoundError,
+    prepareFileChange,
+    createFileSystemHost,
+    applyPatchToFileSystem,
+    createPatchOverlay,
+    combineQueuedChanges,
+    formatNetPatch,
+    applyEntry,
+    applyHunks,
+    countChangedLines,
+    describeAdjustedHunks,
+    hunkAdjustmentNotes,
+    describeHunkResult,
+    formatRejectsReport,
+    formatHunkHeader,
+    patchFromLinkQuery
+};
@@ -0,0 +1,61 @@
+/**
+ * A `FileSystem` (see ./core.js) backed by a directory on disk, used by the
+ * command line interface.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+/** Directories that are never searched when a patch path has to be looked up by its suffix. */
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * @param {string} root The directory patch paths are relative to.
+ * @returns {import('./core').FileSystem}
+ */
+function createNodeFileSystem(root) {
+    root = path.resolve(root);
+    // Absolute paths from the patch are only used when they point into the root
+    const resolve = filePath => {
+        const fullPath = path.resolve(root, filePath);
+        const relativePath = path.relative(root, fullPath);
+        if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+            throw new Error(`Path leaves the directory: ${filePath}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        async exists(filePath) {
+            const fullPath = resolve(filePath);
+            try {
+                return (await fs.stat(fullPath)).isFile();
+            } catch {
+                return false;
+            }
+        },
+        readFile: filePath => fs.readFile(resolve(filePath), 'utf8'),
+        async writeFile(filePath, text) {
+            await fs.mkdir(path.dirname(resolve(filePath)), { recursive: true });
+            await fs.writeFile(resolve(filePath), text, 'utf8');
+        },
+        deleteFile: filePath => fs.unlink(resolve(filePath)),
+        async listFiles() {
+            const files = [];
+            async function walk(relativeDir) {
+                const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true });
+                for (const entry of entries) {
+                    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                    if (entry.isDirectory() && !SKIPPED_DIRECTORIES.has(entry.name)) {
+                        await walk(relativePath);
+                    } else if (entry.isFile()) {
+                        files.push(relativePath);
+                    }
+                }
+            }
+            await walk('');
+            return files;
+        }
+    };
+}
+
+module.exports = { createNodeFileSystem };
@@ -0,0 +1,4 @@
+const { add, multiply } = require('./math');
+
+console.log(add(1, 2));
+console.log(multiply(3, 4));
@@ -0,0 +1 @@
+export const MAX_TODOS = 100;
@@ -0,0 +1,9 @@
+export function addTodo(list, title) {
+  list.push({ title, done: false, createdAt: Date.now() });
+}
+
+export function completeTodo(list, index) {
+  if (list[index]) {
+    list[index].done = true;
+  }
+}
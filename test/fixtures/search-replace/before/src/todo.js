@@ -0,0 +1,7 @@
+export function addTodo(list, title) {
+  list.push({ title, done: false });
+}
+
+export function completeTodo(list, index) {
+  list[index].done = true;
+}
@@ -0,0 +1,381 @@
+const assert = require('assert');
+const {
+	DEFAULT_PATCH_OPTIONS,
+	extractPatchText,
+	parsePastedChanges,
+	reverseEntry,
+	stripPatchPathPrefix,
+	matchBySuffix,
+	matchesGlob,
+	applyHunks,
+	applyPatchToFileSystem,
+	prepareFileChange,
+	createFileSystemHost,
+	createPatchOverlay,
+	combineQueuedChanges,
+	formatNetPatch,
+	formatRejectsReport,
+	patchFromLinkQuery
+} = require('../../lib/core');
+const { createMemoryFileSystem } = require('./memory-file-system');
+
+const PATCH = `--- a/greeting.txt
++++ b/greeting.txt
+@@ -1,3 +1,3 @@
+ Hello
+-World
++There
+ !
+`;
+
+suite('extractPatchText', () => {
+	test('returns null for text without a diff', () => {
+		assert.strictEqual(extractPatchText('Just some prose.\n'), null);
+	});
+
+	test('takes the diff out of a markdown fence', () => {
+		const patch = extractPatchText(`Here it is:\n\n\`\`\`diff\n${PATCH}\`\`\`\n\nDone.\n`);
+		assert.ok(patch.startsWith('--- a/greeting.txt'));
+		assert.ok(!patch.includes('```'));
+	});
+
+	test('does not end an unfenced diff at a fence inside a context line', () => {
+		const diff = '--- a/README.md\n+++ b/README.md\n@@ -3,3 +3,3 @@\n ```bash\n-npm i\n+npm install\n ```\n';
+		assert.strictEqual(extractPatchText(`Try this:\n\n${diff}`), diff);
+	});
+
+	test('ends a hunk at the separator line between files', () => {
+		const separator = '='.repeat(67);
+		const patch = extractPatchText(`--- a/a.txt\n+++ b/a.txt\n@@ -1 +1 @@\n-a\n+b\n${separator}\n--- a/c.txt\n+++ b/c.txt\n@@ -1 +1 @@\n-c\n+d\n`);
+		assert.ok(patch.includes(`@@ -1,1 +1,1 @@\n-a\n+b\n${separator}\n`));
+		assert.strictEqual(parsePastedChanges(patch).length, 2);
+	});
+
+	test('ends a hunk at its stated line counts before a bullet list', () => {
+		const diff = '--- a/a.txt\n+++ b/a.txt\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n';
+		assert.strictEqual(extractPatchText(`${diff}\n- bumped b\n- nothing else\n`), diff);
+	});
+
+	test('ignores the signature of a git format-patch file', async () => {
+		const patch = 'From 1234 Mon Sep 17 00:00:00 2001\nSubject: [PATCH] Capitalize b\n\n---\n a.txt | 2 +-\n\n' +
+			'diff --git a/a.txt b/a.txt\nindex 1234567..89abcde 100644\n--- a/a.txt\n+++ b/a.txt\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n-- \n2.39.0\n\n';
+		const fileSystem = createMemoryFileSystem({ 'a.txt': 'a\nb\nc\n' });
+		const results = await applyPatchToFileSystem(patch, fileSystem);
+		assert.strictEqual(results[0].applied, true);
+		assert.strictEqual(fileSystem.contents.get('a.txt'), 'a\nB\nc\n');
+	});
+
+	test('recounts hunks whose lines go on past the stated counts', () => {
+		const patch = extractPatchText('--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n a\n-b\n+B\n c\n');
+		assert.ok(patch.includes('@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n'));
+	});
+
+	test('drops hunks without lines', () => {
+		const patch = extractPatchText('--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n@@ -5,2 +5,2 @@\n x\n-y\n+z\n');
+		assert.ok(!patch.includes('@@ -1,'));
+		assert.strictEqual(parsePastedChanges(patch)[0].filePatch.hunks.length, 1);
+	});
+});
+
+suite('parsePastedChanges', () => {
+	test('strips the a/ and b/ prefixes by default', () => {
+		const [entry] = parsePastedChanges(PATCH);
+		assert.strictEqual(entry.operation, 'modify');
+		assert.strictEqual(entry.newPath, 'greeting.txt');
+	});
+
+	test('strips the given number of path components', () => {
+		const [entry] = parsePastedChanges(PATCH.replace(/greeting/g, 'docs/greeting'), 2);
+		assert.strictEqual(entry.newPath, 'greeting.txt');
+	});
+
+	test('reads SEARCH/REPLACE blocks', () => {
+		const [entry] = parsePastedChanges('notes.txt\n<<<<<<< SEARCH\nold\n=======\nnew\n>>>>>>> REPLACE\n');
+		assert.strictEqual(entry.format, 'search-replace');
+		assert.strictEqual(entry.newPath, 'notes.txt');
+		assert.deepStrictEqual(entry.filePatch.hunks[0].lines, ['-old', '+new']);
+	});
+});
+
+suite('stripPatchPathPrefix', () => {
+	test('keeps the file name however much is stripped', () => {
+		assert.strictEqual(stripPatchPathPrefix('a/src/index.js', 1), 'src/index.js');
+		assert.strictEqual(stripPatchPathPrefix('a/src/index.js', 5), 'index.js');
+		assert.strictEqual(stripPatchPathPrefix('b\\src\\index.js'), 'src/index.js');
+	});
+});
+
+suite('matchBySuffix', () => {
+	const candidates = ['src/lib/util.js', 'test/util.js', 'README.md'];
+
+	test('prefers the longest matching tail', () => {
+		assert.deepStrictEqual(matchBySuffix('lib/util.js', candidates), ['src/lib/util.js']);
+		assert.deepStrictEqual(matchBySuffix('/home/me/project/src/lib/util.js', candidates), ['src/lib/util.js']);
+	});
+
+	test('returns every equally good match', () => {
+		assert.deepStrictEqual(matchBySuffix('util.js', candidates), ['src/lib/util.js', 'test/util.js']);
+		assert.deepStrictEqual(matchBySuffix('missing.js', candidates), []);
+	});
+});
+
+suite('matchesGlob', () => {
+	test('matches files inside a matching folder', () => {
+		assert.ok(matchesGlob('src/.git/config', ['**/.git']));
+		assert.ok(matchesGlob('node_modules/pkg/index.js', ['**/node_modules/**']));
+		assert.ok(!matchesGlob('src/app.js', ['**/.git', '**/node_modules/**']));
+	});
+
+	test('supports single-folder wildcards and alternatives', () => {
+		assert.ok(matchesGlob('dist/app.map', ['dist/*.{js,map}']));
+		assert.ok(!matchesGlob('dist/sub/app.js', ['dist/*.{js,map}']));
+	});
+});
+
+suite('applyHunks', () => {
+	const [{ filePatch }] = parsePastedChanges(PATCH);
+
+	test('finds hunks that moved', () => {
+		const result = applyHunks('Intro\n\nHello\nWorld\n!\n', filePatch);
+		assert.strictEqual(result.text, 'Intro\n\nHello\nThere\n!\n');
+		assert.strictEqual(result.hunks[0].offset, 2);
+	});
+
+	test('keeps CRLF line endings', () => {
+		assert.strictEqual(applyHunks('Hello\r\nWorld\r\n!\r\n', filePatch).text, 'Hello\r\nThere\r\n!\r\n');
+	});
+
+	test('tolerates whitespace differences only when asked to', () => {
+		const original = 'Hello\n  World\n!\n';
+		assert.strictEqual(applyHunks(original, filePatch, { fuzzFactor: 0, ignoreWhitespace: true }).text, 'Hello\nThere\n!\n');
+		assert.strictEqual(applyHunks(original, filePatch, { fuzzFactor: 0, ignoreWhitespace: false }).text, false);
+	});
+
+	test('only lets the outer context lines differ with fuzz', () => {
+		const [{ filePatch }] = parsePastedChanges('--- a/x\n+++ b/x\n@@ -2,6 +2,6 @@\n zz\n A\n B\n-C\n+C2\n D\n qq\n');
+		const result = applyHunks('x0\nx1\nA\nB\nC\nD\nE\ny1\n', filePatch, { fuzzFactor: 2 });
+		assert.strictEqual(result.text, 'x0\nx1\nA\nB\nC2\nD\nE\ny1\n');
+		assert.strictEqual(result.hunks[0].fuzz, 1);
+	});
+
+	test('rejects hunks whose context next to the change does not match', () => {
+		const [{ filePatch }] = parsePastedChanges('--- a/x\n+++ b/x\n@@ -1,3 +1,2 @@\n totally\n-\n wrong\n');
+		assert.strictEqual(applyHunks('a\nb\n\nc\nd\n\ne\n', filePatch, { fuzzFactor: 2 }).text, false);
+	});
+
+	test('rejects hunks where more context lines differ than match', () => {
+		const file = 'function one() {\n  a();\n}\n\nfunction two() {\n  b();\n}\n';
+		const [{ filePatch }] = parsePastedChanges('--- a/x\n+++ b/x\n@@ -1,4 +1,5 @@\n function three() {\n   c();\n }\n+added();\n \n');
+		assert.strictEqual(applyHunks(file, filePatch, { fuzzFactor: 2 }).text, false);
+	});
+
+	test('reports candidate lines in the original text when nothing is applied', () => {
+		const original = 'a\nb\nc\nd\ne\nf\ng\n';
+		const [{ filePatch }] = parsePastedChanges('--- a/x\n+++ b/x\n@@ -1,1 +1,4 @@\n a\n+1\n+2\n+3\n@@ -5,3 +8,3 @@\n e\n-F\n+f2\n g\n');
+		const result = applyHunks(original, filePatch, { allowPartial: false, fuzzFactor: 0 });
+		assert.strictEqual(result.text, false);
+		assert.strictEqual(result.hunks[1].candidateLine, 5);
+		assert.strictEqual(applyHunks(original, filePatch, { allowPartial: true, fuzzFactor: 0 }).hunks[1].candidateLine, 8);
+	});
+
+	test('round-trips through reverseEntry', () => {
+		const [entry] = parsePastedChanges(PATCH);
+		const patched = applyHunks('Hello\nWorld\n!\n', entry.filePatch).text;
+		assert.strictEqual(applyHunks(patched, reverseEntry(entry).filePatch).text, 'Hello\nWorld\n!\n');
+	});
+});
+
+suite('applyPatchToFileSystem', () => {
+	test('writes nothing on a dry run', async () => {
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': 'Hello\nWorld\n!\n' });
+		const results = await applyPatchToFileSystem(PATCH, fileSystem, { dryRun: true });
+		assert.strictEqual(results[0].applied, true);
+		assert.strictEqual(fileSystem.contents.get('greeting.txt'), 'Hello\nWorld\n!\n');
+	});
+
+	test('reports files that do not exist', async () => {
+		const results = await applyPatchToFileSystem(PATCH, createMemoryFileSystem());
+		assert.strictEqual(results[0].applied, false);
+		assert.match(results[0].error, /File not found/);
+	});
+
+	test('refuses ambiguous paths', async () => {
+		const fileSystem = createMemoryFileSystem({ 'a/greeting.txt': 'Hello\nWorld\n!\n', 'b/greeting.txt': 'Hello\nWorld\n!\n' });
+		const results = await applyPatchToFileSystem(PATCH, fileSystem);
+		assert.match(results[0].error, /Ambiguous path/);
+	});
+
+	test('reports SEARCH/REPLACE blocks and diffs without a file path', async () => {
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': 'Hello\nWorld\n!\n' });
+		const patch = '--- /dev/null\n+++ /dev/null\n@@ -0,0 +1 @@\n+x\n\n<<<<<<< SEARCH\nWorld\n=======\nThere\n>>>>>>> REPLACE\n';
+		const results = await applyPatchToFileSystem(patch, fileSystem);
+		assert.deepStrictEqual(results.map(result => [result.displayPath, result.applied]), [
+			['diff at @@ -0,0 +1,1 @@', false],
+			['SEARCH/REPLACE block at line 6', false]
+		]);
+		assert.match(results[1].error, /No file path/);
+		assert.strictEqual(fileSystem.contents.get('greeting.txt'), 'Hello\nWorld\n!\n');
+	});
+
+	test('reports entries that cannot be reversed and reverses the others', async () => {
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': 'Hello\nThere\n!\n', 'notes.txt': 'kept\n' });
+		const patch = `notes.txt\n<<<<<<< SEARCH\nold\n=======\n>>>>>>> REPLACE\n\n${PATCH}`;
+		const results = await applyPatchToFileSystem(patch, fileSystem, { reverse: true });
+		assert.deepStrictEqual(results.map(result => [result.displayPath, result.applied]), [['greeting.txt', true], ['notes.txt', false]]);
+		assert.match(results[1].error, /cannot be reversed/);
+		assert.strictEqual(fileSystem.contents.get('greeting.txt'), 'Hello\nWorld\n!\n');
+	});
+
+	test('does not create files when file creation is disabled', async () => {
+		const fileSystem = createMemoryFileSystem();
+		const results = await applyPatchToFileSystem('--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1 @@\n+new\n', fileSystem, { fileCreation: 'never' });
+		assert.strictEqual(results[0].applied, false);
+		assert.strictEqual(fileSystem.contents.size, 0);
+	});
+
+	test('deletes a file that starts with a byte order mark', async () => {
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': '\uFEFFHello\nWorld\n' });
+		const results = await applyPatchToFileSystem('--- a/greeting.txt\n+++ /dev/null\n@@ -1,2 +0,0 @@\n-Hello\n-World\n', fileSystem);
+		assert.strictEqual(results[0].applied, true);
+		assert.strictEqual(fileSystem.contents.has('greeting.txt'), false);
+	});
+
+	test('creates whole files instead of overwriting a file with the same name', async () => {
+		const fileSystem = createMemoryFileSystem({ 'src/index.js': 'main();\n' });
+		const results = await applyPatchToFileSystem('**src/components/index.js**\n```js\nexport {};\n```\n', fileSystem);
+		assert.strictEqual(results[0].operation, 'create');
+		assert.strictEqual(fileSystem.contents.get('src/index.js'), 'main();\n');
+		assert.strictEqual(fileSystem.contents.get('src/components/index.js'), 'export {};\n');
+	});
+
+	test('creates the file of an append-only SEARCH/REPLACE block instead of appending to a namesake', async () => {
+		const fileSystem = createMemoryFileSystem({ 'lib/config.json': '{}\n' });
+		const results = await applyPatchToFileSystem('new/config.json\n<<<<<<< SEARCH\n=======\n{ "a": 1 }\n>>>>>>> REPLACE\n', fileSystem);
+		assert.strictEqual(results[0].operation, 'create');
+		assert.strictEqual(fileSystem.contents.get('lib/config.json'), '{}\n');
+		assert.strictEqual(fileSystem.contents.get('new/config.json'), '{ "a": 1 }\n');
+	});
+
+	test('leaves the file unchanged without allowPartial', async () => {
+		const original = 'Hello\nWorld\n!\n\n1\n2\n3\n';
+		const patch = `${PATCH}@@ -5,3 +5,3 @@\n 1\n-two\n+2b\n 3\n`;
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': original });
+		const results = await applyPatchToFileSystem(patch, fileSystem, { allowPartial: false, fuzzFactor: 0 });
+		assert.strictEqual(results[0].applied, false);
+		assert.deepStrictEqual(results[0].hunkResults.map(result => result.applied), [true, false]);
+		assert.strictEqual(fileSystem.contents.get('greeting.txt'), original);
+		assert.match(formatRejectsReport([results[0]]), /^Index: greeting.txt$/m);
+	});
+
+	test('refuses paths that leave the root', async () => {
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': 'Hello\nWorld\n!\n' });
+		const results = await applyPatchToFileSystem(PATCH.replace(/greeting\.txt/g, 'docs/../../greeting.txt'), fileSystem);
+		assert.strictEqual(results[0].applied, false);
+		assert.match(results[0].error, /leaves the workspace/);
+	});
+
+	test('refuses binary patches and binary files', async () => {
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': 'Hello\0World\n!\n' });
+		const binaryPatch = 'diff --git a/logo.png b/logo.png\nindex 1234567..89abcde 100644\nGIT binary patch\nliteral 4\nLcmZ?wbhEa\n\n';
+		const results = await applyPatchToFileSystem(`${PATCH}${binaryPatch}`, fileSystem);
+		assert.match(results[0].error, /Binary file/);
+		assert.match(results[1].error, /Binary patches are not supported/);
+	});
+
+	test('enforces the size limits', async () => {
+		const fileSystem = createMemoryFileSystem({ 'greeting.txt': `Hello\nWorld\n!\n${'.\n'.repeat(1024)}` });
+		const results = await applyPatchToFileSystem(PATCH, fileSystem, { maxFileSize: 1024 });
+		assert.match(results[0].error, /File too large/);
+		await assert.rejects(applyPatchToFileSystem(PATCH, fileSystem, { maxPatchSize: 64 }), /The patch is too large/);
+	});
+});
+
+suite('patchFromLinkQuery', () => {
+	test('round-trips a patch with +, & and %', () => {
+		const patch = '--- a/x.txt\n+++ b/x.txt\n@@ -1 +1 @@\n-a & b\n+c + d = 100%\n';
+		// vscode.Uri.query is percent-decoded once
+		const query = decodeURIComponent(`patch=${encodeURIComponent(patch)}`);
+		assert.strictEqual(patchFromLinkQuery(query), patch);
+	});
+
+	test('returns null without a patch parameter', () => {
+		assert.strictEqual(patchFromLinkQuery('text=abc'), null);
+	});
+});
+
+suite('Patch queue', () => {
+	/**
+	 * Prepares patches one after another against an overlay, like the queue in the input panel.
+	 * @param {Object<string, string>} files
+	 * @param {string[]} patches
+	 */
+	async function combineSeries(files, patches) {
+		const overlay = createPatchOverlay(createFileSystemHost(createMemoryFileSystem(files)));
+		const changes = [];
+		for (const patch of patches) {
+			for (const entry of parsePastedChanges(patch)) {
+				const change = await prepareFileChange(entry, overlay, DEFAULT_PATCH_OPTIONS);
+				overlay.record(change);
+				changes.push(change);
+			}
+		}
+		return combineQueuedChanges(changes);
+	}
+
+	const summarize = changes => changes.map(change => [change.operation, change.source, change.target, change.patchedText]);
+
+	test('checks each patch against the result of the previous ones', async () => {
+		const combined = await combineSeries({ 'greeting.txt': 'Hello\nWorld\n!\n' }, [
+			PATCH,
+			'--- a/greeting.txt\n+++ b/greeting.txt\n@@ -2,2 +2,2 @@\n There\n-!\n+?\n'
+		]);
+		assert.deepStrictEqual(summarize(combined), [['modify', undefined, 'greeting.txt', 'Hello\nThere\n?\n']]);
+		assert.strictEqual(combined[0].originalText, 'Hello\nWorld\n!\n');
+	});
+
+	test('drops a file that is created and deleted again', async () => {
+		const combined = await combineSeries({}, [
+			'--- /dev/null\n+++ b/tmp.txt\n@@ -0,0 +1 @@\n+scratch\n',
+			'--- a/tmp.txt\n+++ /dev/null\n@@ -1 +0,0 @@\n-scratch\n'
+		]);
+		assert.deepStrictEqual(combined, []);
+	});
+
+	test('turns a deleted and re-created file into a modification', async () => {
+		const combined = await combineSeries({ 'notes.txt': 'old\n' }, [
+			'--- a/notes.txt\n+++ /dev/null\n@@ -1 +0,0 @@\n-old\n',
+			'--- /dev/null\n+++ b/notes.txt\n@@ -0,0 +1 @@\n+new\n'
+		]);
+		assert.deepStrictEqual(summarize(combined), [['modify', undefined, 'notes.txt', 'new\n']]);
+		assert.strictEqual(combined[0].originalText, 'old\n');
+	});
+
+	test('keeps a rename of a modified file', async () => {
+		const combined = await combineSeries({ 'old.txt': 'x\ny\n' }, [
+			'--- a/old.txt\n+++ b/old.txt\n@@ -1,2 +1,2 @@\n x\n-y\n+Y\n',
+			'diff --git a/old.txt b/new.txt\nsimilarity index 100%\nrename from old.txt\nrename to new.txt\n'
+		]);
+		assert.deepStrictEqual(summarize(combined), [['rename', 'old.txt', 'new.txt', 'x\nY\n']]);
+		assert.strictEqual(combined[0].originalText, 'x\ny\n');
+	});
+
+	test('does not find files deleted earlier in the series', async () => {
+		await assert.rejects(combineSeries({ 'greeting.txt': 'Hello\nWorld\n!\n' }, [
+			'--- a/greeting.txt\n+++ /dev/null\n@@ -1,3 +0,0 @@\n-Hello\n-World\n-!\n',
+			PATCH
+		]), error => error.code === 'FileNotFound');
+	});
+
+	test('writes the combined changes as a patch that reproduces them', async () => {
+		const before = { 'greeting.txt': 'Hello\nWorld\n!\n', 'old.txt': 'x\ny\n', 'gone.txt': 'bye\n' };
+		const combined = await combineSeries(before, [
+			PATCH,
+			'diff --git a/old.txt b/new.txt\nrename from old.txt\nrename to new.txt\n--- a/old.txt\n+++ b/new.txt\n@@ -1,2 +1,2 @@\n x\n-y\n+Y\n',
+			'--- a/gone.txt\n+++ /dev/null\n@@ -1 +0,0 @@\n-bye\n--- /dev/null\n+++ b/added.txt\n@@ -0,0 +1 @@\n+hi\n'
+		]);
+		const fileSystem = createMemoryFileSystem(before);
+		const results = await applyPatchToFileSystem(formatNetPatch(combined), fileSystem);
+		assert.ok(results.every(result => result.applied));
+		assert.deepStrictEqual(Object.fromEntries(fileSystem.contents), { 'greeting.txt': 'Hello\nThere\n!\n', 'new.txt': 'x\nY\n', 'added.txt': 'hi\n' });
+	});
+});
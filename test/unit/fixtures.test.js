@@ -0,0 +1,78 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { applyPatchToFileSystem } = require('../../lib/core');
+const { createMemoryFileSystem, readTree } = require('./memory-file-system');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Applies `<case>/patch.*` to the files in `<case>/before` with the default options.
+ * A patch that cannot be parsed is returned as `error` and leaves the files unchanged.
+ * @param {string} name
+ */
+async function applyFixture(name) {
+	const dir = path.join(FIXTURES, name);
+	const patchFile = fs.readdirSync(dir).find(file => file.startsWith('patch.'));
+	const fileSystem = createMemoryFileSystem(readTree(path.join(dir, 'before')));
+	let results = [];
+	let error;
+	try {
+		results = await applyPatchToFileSystem(fs.readFileSync(path.join(dir, patchFile), 'utf8'), fileSystem);
+	} catch (parseError) {
+		error = parseError;
+	}
+	return { results, error, files: Object.fromEntries(fileSystem.contents), expected: readTree(path.join(dir, 'after')) };
+}
+
+suite('Patch fixtures', () => {
+	for (const name of fs.readdirSync(FIXTURES)) {
+		test(`${name}: produces the files in after/`, async () => {
+			const { files, expected } = await applyFixture(name);
+			assert.deepStrictEqual(files, expected);
+		});
+	}
+
+	test('multi-file: patches every file of a git diff', async () => {
+		const { results } = await applyFixture('multi-file');
+		assert.deepStrictEqual(results.map(result => [result.displayPath, result.applied]), [
+			['src/math.js', true],
+			['src/main.js', true]
+		]);
+	});
+
+	test('create-delete-rename: reports the file operations', async () => {
+		const { results } = await applyFixture('create-delete-rename');
+		assert.deepStrictEqual(results.map(result => result.operation), ['create', 'delete', 'rename']);
+	});
+
+	test('llm-chat: finds the file by name and the hunk by content', async () => {
+		const { results } = await applyFixture('llm-chat');
+		assert.strictEqual(results.length, 1);
+		assert.strictEqual(results[0].hunkResults[0].offset, -6);
+	});
+
+	test('partial: applies the matching hunk and rejects the other', async () => {
+		const { results } = await applyFixture('partial');
+		assert.strictEqual(results[0].applied, true);
+		assert.deepStrictEqual(results[0].hunkResults.map(result => result.applied), [true, false]);
+	});
+
+	test('markdown: keeps the code fences of the patched file inside the diff', async () => {
+		const { results } = await applyFixture('markdown');
+		assert.deepStrictEqual(results[0].hunkResults.map(result => result.applied), [true]);
+	});
+
+	test('malformed: fails to parse instead of guessing', async () => {
+		const { results, error } = await applyFixture('malformed');
+		assert.match(error.message, /Unknown line 3/);
+		assert.deepStrictEqual(results, []);
+	});
+
+	test('every other fixture parses', async () => {
+		for (const name of fs.readdirSync(FIXTURES).filter(name => name !== 'malformed')) {
+			const { error } = await applyFixture(name);
+			assert.strictEqual(error, undefined, name);
+		}
+	});
+});
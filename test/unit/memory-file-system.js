@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * An in-memory `FileSystem` (see lib/core.js) for the unit tests.
+ * @param {Object<string, string>} [files] File contents by path.
+ */
+function createMemoryFileSystem(files = {}) {
+	const contents = new Map(Object.entries(files));
+	return {
+		contents,
+		exists: async filePath => contents.has(filePath),
+		async readFile(filePath) {
+			if (!contents.has(filePath)) {
+				throw new Error(`ENOENT: ${filePath}`);
+			}
+			return contents.get(filePath);
+		},
+		writeFile: async (filePath, text) => { contents.set(filePath, text); },
+		deleteFile: async filePath => { contents.delete(filePath); },
+		listFiles: async () => [...contents.keys()]
+	};
+}
+
+/**
+ * Reads every file below `dir` into an object keyed by relative path.
+ * @param {string} dir
+ * @returns {Object<string, string>}
+ */
+function readTree(dir) {
+	const files = {};
+	for (const entry of fs.readdirSync(dir, { recursive: true, withFileTypes: true })) {
+		if (entry.isFile()) {
+			const fullPath = path.join(entry.parentPath || entry.path, entry.name);
+			files[path.relative(dir, fullPath).split(path.sep).join('/')] = fs.readFileSync(fullPath, 'utf8');
+		}
+	}
+	return files;
+}
+
+module.exports = { createMemoryFileSystem, readTree };